@@ -15,6 +15,7 @@ export default defineConfig({
   source: {
     entry: {
       index: './src/index.ts',
+      cli: './src/cli.ts',
     },
   },
 });
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * 断点续传模块，负责将每页的模型输出保存到输出目录并在恢复时读取
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export interface PageCheckpoint {
+  key: string;
+  pageIndex: number;
+  content: string;
+  finishedAt: string;
+}
+
+/**
+ * 根据PDF内容、模型和提示词生成检查点标识，任一项变化都会使旧的检查点失效
+ * @param pdfData PDF文件数据
+ * @param model 模型名称
+ * @param prompt 提示词
+ * @param extra 其他会影响模型输出的选项
+ */
+export const createCheckpointKey = (pdfData: Buffer, model: string, prompt: string, extra: string[] = []): string => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(pdfData)
+    .update('\0' + model)
+    .update('\0' + prompt);
+  for (const item of extra) {
+    hash.update('\0' + item);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * 获取某一页检查点文件的路径
+ * @param checkpointDir 检查点目录
+ * @param baseName PDF文件名（不含扩展名）
+ * @param pageIndex 原始页码
+ */
+export const getCheckpointPath = (checkpointDir: string, baseName: string, pageIndex: number): string => {
+  return path.join(checkpointDir, `${baseName}.page-${pageIndex}.json`);
+};
+
+/**
+ * 读取页面检查点，文件不存在、损坏或标识不匹配时返回 null
+ */
+export const loadPageCheckpoint = async (
+  checkpointDir: string,
+  baseName: string,
+  pageIndex: number,
+  key: string
+): Promise<PageCheckpoint | null> => {
+  const filePath = getCheckpointPath(checkpointDir, baseName, pageIndex);
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+  try {
+    const checkpoint: PageCheckpoint = await fs.readJson(filePath);
+    if (checkpoint.key !== key || checkpoint.pageIndex !== pageIndex || typeof checkpoint.content !== 'string') {
+      return null;
+    }
+    return checkpoint;
+  } catch (error) {
+    console.warn(`读取检查点 ${filePath} 失败，将重新处理该页:`, (error as Error).message);
+    return null;
+  }
+};
+
+/**
+ * 保存页面检查点，先写临时文件再重命名，避免进程中断时留下不完整的文件
+ */
+export const savePageCheckpoint = async (
+  checkpointDir: string,
+  baseName: string,
+  pageIndex: number,
+  key: string,
+  content: string
+): Promise<void> => {
+  const filePath = getCheckpointPath(checkpointDir, baseName, pageIndex);
+  const checkpoint: PageCheckpoint = {
+    key,
+    pageIndex,
+    content,
+    finishedAt: new Date().toISOString(),
+  };
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeJson(tempPath, checkpoint);
+  await fs.move(tempPath, filePath, { overwrite: true });
+};
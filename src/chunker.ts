@@ -0,0 +1,175 @@
+/**
+ * 文档分块模块，按标题结构将转换结果切分为适合向量检索的块，并附带来源文件、页码范围和标题路径
+ */
+import { buildStructuredDocument, DocumentBlock, StructuredDocument } from './document-model';
+
+export interface ChunkOptions {
+  // 每块的目标字符数，默认 1500
+  targetSize?: number;
+  // 相邻块之间重叠的字符数，默认 150，只从段落和列表中截取，计入 targetSize
+  overlap?: number;
+}
+
+export interface DocumentChunk {
+  id: string;
+  content: string;
+  metadata: {
+    source: string;
+    chunkIndex: number;
+    // 块内容覆盖的页码范围
+    pageStart: number;
+    pageEnd: number;
+    // 所属标题的路径，从一级标题开始
+    headings: string[];
+  };
+}
+
+// 不可拆分的块类型，超过目标大小时也整体保留
+const ATOMIC_BLOCKS = new Set(['table', 'formula', 'code', 'figure']);
+// 块内各部分之间的分隔符，计入块的大小
+const SEPARATOR = '\n\n';
+
+/**
+ * 将过长的段落按句子拆分为不超过 size 的片段，单个句子过长时按字符截断
+ */
+const splitText = (text: string, size: number): string[] => {
+  const sentences = text.match(/[^。！？.!?\n]+[。！？.!?]*\s*|\n+/g) || [text];
+  const pieces: string[] = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > size) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    for (let i = 0; i < sentence.length; i += size) {
+      const part = sentence.slice(i, i + size);
+      if (current.length + part.length > size) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += part;
+    }
+  }
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+  return pieces.filter(Boolean);
+};
+
+/**
+ * 截取文本末尾不超过 size 个字符作为重叠部分，尽量从句子或词的边界开始
+ */
+const takeOverlap = (text: string, size: number): string => {
+  if (size <= 0 || !text) {
+    return '';
+  }
+  if (text.length <= size) {
+    return text;
+  }
+  const tail = text.slice(-size);
+  const boundary = tail.search(/[。！？.!?]\s*\S|\s\S/);
+  return (boundary === -1 ? tail : tail.slice(boundary + 1)).trim();
+};
+
+/**
+ * 将结构化文档切分为块
+ * @param document 结构化文档
+ * @param options 分块参数
+ */
+export const chunkDocument = (document: StructuredDocument, options: ChunkOptions = {}): DocumentChunk[] => {
+  const { targetSize = 1500, overlap = 150 } = options;
+  const chunks: DocumentChunk[] = [];
+  const breadcrumb: Array<{ level: number; text: string }> = [];
+
+  let parts: string[] = [];
+  let size = 0;
+  let pageStart = 0;
+  let pageEnd = 0;
+  // 当前块是否包含标题以外的内容
+  let hasBody = false;
+  // 上一块末尾可用于截取重叠部分的文本，及其所在的页码
+  let overlapSource: { text: string; pageIndex: number } | undefined;
+
+  const flush = () => {
+    if (hasBody) {
+      chunks.push({
+        id: `${document.source}#${chunks.length}`,
+        content: parts.join(SEPARATOR),
+        metadata: {
+          source: document.source,
+          chunkIndex: chunks.length,
+          pageStart,
+          pageEnd,
+          headings: breadcrumb.map((heading) => heading.text),
+        },
+      });
+    }
+    parts = [];
+    size = 0;
+    hasBody = false;
+  };
+
+  const push = (text: string) => {
+    size += (parts.length > 0 ? SEPARATOR.length : 0) + text.length;
+    parts.push(text);
+  };
+
+  const append = (text: string, block: DocumentBlock) => {
+    if (parts.length === 0) {
+      pageStart = block.pageIndex;
+      // 新块以上一块的末尾开头，保持上下文连续；重叠部分计入目标大小，放不下时缩短
+      const overlapText = overlapSource
+        ? takeOverlap(overlapSource.text, Math.min(overlap, targetSize - text.length - SEPARATOR.length))
+        : '';
+      if (overlapText) {
+        push(overlapText);
+        pageStart = overlapSource!.pageIndex;
+      }
+    }
+    push(text);
+    pageEnd = block.endPageIndex ?? block.pageIndex;
+    hasBody = true;
+  };
+
+  const blocks = document.pages.flatMap((page) => page.blocks);
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      // 遇到标题时结束当前块，并更新标题路径
+      flush();
+      overlapSource = undefined;
+      while (breadcrumb.length > 0 && breadcrumb[breadcrumb.length - 1].level >= block.level!) {
+        breadcrumb.pop();
+      }
+      breadcrumb.push({ level: block.level!, text: block.text! });
+      push(block.content);
+      pageStart = block.pageIndex;
+      pageEnd = block.pageIndex;
+      continue;
+    }
+
+    // 拆分过长的段落时为重叠部分留出空间
+    const pieces = ATOMIC_BLOCKS.has(block.type) || block.content.length <= targetSize
+      ? [block.content]
+      : splitText(block.content, Math.max(1, targetSize - overlap - SEPARATOR.length));
+    for (const piece of pieces) {
+      if (hasBody && size + SEPARATOR.length + piece.length > targetSize) {
+        flush();
+      }
+      append(piece, block);
+      overlapSource = block.type === 'paragraph' || block.type === 'list'
+        ? { text: piece, pageIndex: block.endPageIndex ?? block.pageIndex }
+        : undefined;
+    }
+  }
+  flush();
+  return chunks;
+};
+
+/**
+ * 直接对Markdown文本分块，没有页码信息时页码均为1
+ * @param markdownText Markdown文本
+ * @param source 来源文件名
+ * @param options 分块参数
+ */
+export const chunkMarkdown = (markdownText: string, source: string, options: ChunkOptions = {}): DocumentChunk[] =>
+  chunkDocument(buildStructuredDocument(markdownText, [], source), options);
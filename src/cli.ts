@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * PDF2MD 命令行入口
+ * 用法: pdf2md input.pdf -o out/ --model gpt-4o --concurrency 4 --pages 1-10
+ */
+import { parseArgs } from 'util';
+import fs from 'fs-extra';
+import { parsePdf, getProvider, AbortError, PdfLoadError, ParseOptions, ProgressInfo, PageErrorPolicy, HeadingStrategy, PageMarkerStyle, ImageFormat, TextLayerMode } from './index';
+
+// 退出码
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+// 部分页面转换失败
+const EXIT_PARTIAL = 3;
+// 任务被取消或超时
+const EXIT_ABORTED = 130;
+
+const HELP = `用法: pdf2md <input.pdf> [选项]
+
+选项:
+  -o, --output <dir>         输出目录，默认 ./output
+  -m, --model <name>         视觉模型名称，例如 gpt-4o
+      --provider <name>      模型提供商: openai | claude | gemini | doubao | ollama | llamacpp，默认根据模型名称选择
+      --base-url <url>       API地址
+      --api-key <key>        API密钥，默认从环境变量读取
+  -c, --concurrency <n>      并发处理的页数，默认 2
+  -p, --pages <range>        页码范围，例如 1-3,7,10-
+      --password <password>  加密PDF的打开密码，也可通过环境变量 PDF2MD_PDF_PASSWORD 设置
+      --resume               从检查点恢复，跳过已完成的页面
+      --openai-compatible    使用OpenAI兼容接口
+      --on-page-error <mode> 页面失败时的处理策略: fail | placeholder | skip
+      --scale <n>            页面渲染的缩放比例，1 对应 72 DPI，默认 3
+      --image-format <fmt>   发送给模型的图像格式: auto | png | jpeg | webp，默认 auto（超出大小限制时改用JPEG）
+      --grayscale            以灰度图发送页面图像，适合纯文字的扫描件
+      --tiles                将超大页面（图纸、海报、A3表格等）切分为重叠的分块分别识别
+      --text-layer <mode>    PDF文本层使用方式: none | grounding | hybrid
+      --extract-figures      提取图表和照片
+      --heading-strategy <s> 标题层级调整方式: llm | rules | hybrid | none，默认 llm
+      --ignore-outline       不使用PDF书签确定标题层级
+      --toc                  在文档开头生成目录
+      --output-json          同时生成结构化文档 <name>.json
+      --chunks               同时生成用于向量检索的分块 <name>.chunks.jsonl
+      --page-markers <style> 页面之间的页码标记: none | comment | anchor，默认 none
+      --cache                启用模型响应缓存（默认缓存到 <output>/cache）
+      --cache-dir <dir>      缓存目录，设置后自动启用缓存
+      --cache-ttl <seconds>  缓存有效期（秒）
+      --cache-read-only      只读取缓存，不写入新结果
+      --cache-bypass         跳过缓存读取，重新调用模型并刷新缓存
+      --timeout <seconds>    整个任务的超时时间（秒）
+      --request-timeout <seconds>
+                             单次模型请求的超时时间（秒），默认 300
+      --pricing <file>       价格表JSON文件（每百万token的价格），例如 {"gpt-4o": {"input": 2.5, "output": 10}}
+      --json                 以JSON格式向标准输出打印转换结果
+      --verbose              输出详细日志
+  -h, --help                 显示帮助
+
+环境变量:
+  PDF2MD_API_KEY             通用API密钥
+  OPENAI_API_KEY / ANTHROPIC_API_KEY / GEMINI_API_KEY / DOUBAO_API_KEY
+                             按模型名称前缀选择的API密钥
+  PDF2MD_BASE_URL            API地址
+  PDF2MD_MODEL               模型名称
+  PDF2MD_PDF_PASSWORD        加密PDF的打开密码
+
+退出码:
+  0 成功，1 转换失败，2 参数错误，3 部分页面转换失败，130 任务被取消或超时
+`;
+
+// 根据模型名称前缀选择对应的API密钥环境变量；本地模型服务不需要密钥，不读取环境变量，避免把其他服务的密钥发给本地服务
+const resolveApiKey = (model: string): string | undefined => {
+  if (getProvider(model)?.requiresApiKey === false) {
+    return undefined;
+  }
+  const { env } = process;
+  if (env.PDF2MD_API_KEY) {
+    return env.PDF2MD_API_KEY;
+  }
+  if (model.startsWith('claude')) {
+    return env.ANTHROPIC_API_KEY;
+  }
+  if (model.startsWith('gemini')) {
+    return env.GEMINI_API_KEY;
+  }
+  if (model.startsWith('doubao')) {
+    return env.DOUBAO_API_KEY;
+  }
+  return env.OPENAI_API_KEY;
+};
+
+/**
+ * 在标准错误输出上绘制进度条，非TTY环境下每次更新输出一行
+ */
+const renderProgress = ({ current, total, failed, taskStatus, usage }: ProgressInfo): void => {
+  const width = 30;
+  const ratio = total > 0 ? current / total : 1;
+  const filled = Math.round(ratio * width);
+  const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+  const failedText = failed > 0 ? ` 失败 ${failed}` : '';
+  const costText = usage.estimatedCost !== undefined ? ` ≈${usage.estimatedCost.toFixed(4)}` : '';
+  const usageText = ` ${usage.inputTokens}/${usage.outputTokens} tokens${costText}`;
+  const line = `[${bar}] ${current}/${total}${failedText}${usageText} ${taskStatus}`;
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r${line}`);
+    if (taskStatus === 'finished') {
+      process.stderr.write('\n');
+    }
+  } else {
+    process.stderr.write(`${line}\n`);
+  }
+};
+
+const main = async (): Promise<number> => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        model: { type: 'string', short: 'm' },
+        provider: { type: 'string' },
+        'base-url': { type: 'string' },
+        'api-key': { type: 'string' },
+        concurrency: { type: 'string', short: 'c' },
+        pages: { type: 'string', short: 'p' },
+        password: { type: 'string' },
+        resume: { type: 'boolean' },
+        'openai-compatible': { type: 'boolean' },
+        'on-page-error': { type: 'string' },
+        scale: { type: 'string' },
+        'image-format': { type: 'string' },
+        grayscale: { type: 'boolean' },
+        tiles: { type: 'boolean' },
+        'text-layer': { type: 'string' },
+        'extract-figures': { type: 'boolean' },
+        'heading-strategy': { type: 'string' },
+        'ignore-outline': { type: 'boolean' },
+        toc: { type: 'boolean' },
+        'output-json': { type: 'boolean' },
+        chunks: { type: 'boolean' },
+        'page-markers': { type: 'string' },
+        cache: { type: 'boolean' },
+        'cache-dir': { type: 'string' },
+        'cache-ttl': { type: 'string' },
+        'cache-read-only': { type: 'boolean' },
+        'cache-bypass': { type: 'boolean' },
+        timeout: { type: 'string' },
+        'request-timeout': { type: 'string' },
+        pricing: { type: 'string' },
+        json: { type: 'boolean' },
+        verbose: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    console.error((error as Error).message);
+    console.error(HELP);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(HELP);
+    return EXIT_OK;
+  }
+  if (positionals.length !== 1) {
+    console.error('必须指定一个PDF文件');
+    console.error(HELP);
+    return EXIT_USAGE;
+  }
+
+  const model = values.model || process.env.PDF2MD_MODEL || '';
+  const apiKey = values['api-key'] || resolveApiKey(values.provider || model);
+  if (!model) {
+    console.error('必须通过 --model 或 PDF2MD_MODEL 指定模型');
+    return EXIT_USAGE;
+  }
+  if (values.provider && !getProvider(values.provider)) {
+    console.error(`未知的模型提供商: ${values.provider}`);
+    return EXIT_USAGE;
+  }
+  if (!apiKey && getProvider(values.provider || '')?.requiresApiKey !== false) {
+    console.error('未找到API密钥，请设置 PDF2MD_API_KEY 或对应模型的环境变量');
+    return EXIT_USAGE;
+  }
+
+  const concurrency = values.concurrency ? parseInt(values.concurrency, 10) : undefined;
+  if (concurrency !== undefined && (Number.isNaN(concurrency) || concurrency < 1)) {
+    console.error(`无效的并发数: ${values.concurrency}`);
+    return EXIT_USAGE;
+  }
+  const onPageError = values['on-page-error'] as PageErrorPolicy | undefined;
+  if (onPageError && !['fail', 'placeholder', 'skip'].includes(onPageError)) {
+    console.error(`无效的页面失败处理策略: ${onPageError}`);
+    return EXIT_USAGE;
+  }
+  const scale = values.scale ? Number(values.scale) : undefined;
+  if (scale !== undefined && (Number.isNaN(scale) || scale <= 0)) {
+    console.error(`无效的缩放比例: ${values.scale}`);
+    return EXIT_USAGE;
+  }
+  const imageFormat = values['image-format'] as ImageFormat | undefined;
+  if (imageFormat && !['auto', 'png', 'jpeg', 'webp'].includes(imageFormat)) {
+    console.error(`无效的图像格式: ${imageFormat}`);
+    return EXIT_USAGE;
+  }
+  const textLayerMode = values['text-layer'] as TextLayerMode | undefined;
+  if (textLayerMode && !['none', 'grounding', 'hybrid'].includes(textLayerMode)) {
+    console.error(`无效的文本层使用方式: ${textLayerMode}`);
+    return EXIT_USAGE;
+  }
+  const headingStrategy = values['heading-strategy'] as HeadingStrategy | undefined;
+  if (headingStrategy && !['llm', 'rules', 'hybrid', 'none'].includes(headingStrategy)) {
+    console.error(`无效的标题层级调整方式: ${headingStrategy}`);
+    return EXIT_USAGE;
+  }
+  const pageMarkers = values['page-markers'] as PageMarkerStyle | undefined;
+  if (pageMarkers && !['none', 'comment', 'anchor'].includes(pageMarkers)) {
+    console.error(`无效的页码标记样式: ${pageMarkers}`);
+    return EXIT_USAGE;
+  }
+
+  const cacheTtl = values['cache-ttl'] ? Number(values['cache-ttl']) : undefined;
+  if (cacheTtl !== undefined && (Number.isNaN(cacheTtl) || cacheTtl < 0)) {
+    console.error(`无效的缓存有效期: ${values['cache-ttl']}`);
+    return EXIT_USAGE;
+  }
+  const timeout = values.timeout ? Number(values.timeout) : undefined;
+  if (timeout !== undefined && (Number.isNaN(timeout) || timeout <= 0)) {
+    console.error(`无效的超时时间: ${values.timeout}`);
+    return EXIT_USAGE;
+  }
+  const requestTimeout = values['request-timeout'] ? Number(values['request-timeout']) : undefined;
+  if (requestTimeout !== undefined && (Number.isNaN(requestTimeout) || requestTimeout <= 0)) {
+    console.error(`无效的请求超时时间: ${values['request-timeout']}`);
+    return EXIT_USAGE;
+  }
+  let pricing;
+  if (values.pricing) {
+    try {
+      pricing = await fs.readJson(values.pricing);
+    } catch (error) {
+      console.error(`读取价格表失败: ${(error as Error).message}`);
+      return EXIT_USAGE;
+    }
+  }
+  const useCache = values.cache || !!values['cache-dir'] || values['cache-read-only'] || values['cache-bypass'];
+
+  // 库内部的日志默认输出到标准输出，命令行下改为仅在 --verbose 时输出到标准错误，保证 --json 输出干净
+  const log = values.verbose ? console.error.bind(console) : () => {};
+  console.log = log;
+  console.warn = log;
+  console.error = log;
+
+  // Ctrl+C 时取消任务，中止进行中的请求并释放资源，再次按下时直接退出
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    process.stderr.write('\n正在取消...\n');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  const options: ParseOptions = {
+    outputDir: values.output,
+    model,
+    provider: values.provider,
+    apiKey,
+    baseUrl: values['base-url'] || process.env.PDF2MD_BASE_URL,
+    openAiApicompatible: values['openai-compatible'],
+    concurrency,
+    scale,
+    imageEncoding: { format: imageFormat, grayscale: values.grayscale },
+    tiles: values.tiles,
+    pages: values.pages,
+    password: values.password || process.env.PDF2MD_PDF_PASSWORD,
+    resume: values.resume,
+    onPageError,
+    textLayerMode,
+    extractFigures: values['extract-figures'],
+    headingStrategy,
+    useOutline: !values['ignore-outline'],
+    toc: values.toc,
+    outputJson: values['output-json'],
+    chunks: values.chunks,
+    pageMarkers,
+    cache: useCache
+      ? {
+        dir: values['cache-dir'],
+        ttl: cacheTtl !== undefined ? cacheTtl * 1000 : undefined,
+        readOnly: values['cache-read-only'],
+        bypass: values['cache-bypass'],
+      }
+      : undefined,
+    pricing,
+    signal: controller.signal,
+    timeout: timeout !== undefined ? timeout * 1000 : undefined,
+    requestTimeout: requestTimeout !== undefined ? requestTimeout * 1000 : undefined,
+    onProgress: values.verbose ? undefined : renderProgress,
+  };
+
+  try {
+    const result = await parsePdf(positionals[0], options);
+    if (values.json) {
+      process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else {
+      process.stderr.write(`Markdown文件已保存至: ${result.mdFilePath}\n`);
+    }
+    if (result.failedPages.length > 0) {
+      process.stderr.write(`以下页面转换失败: ${result.failedPages.join(', ')}\n`);
+      return EXIT_PARTIAL;
+    }
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof AbortError) {
+      process.stderr.write(`\n${error.message}\n`);
+      return EXIT_ABORTED;
+    }
+    if (error instanceof PdfLoadError && error.code === 'PASSWORD_REQUIRED') {
+      process.stderr.write('\nPDF已加密，请通过 --password 或 PDF2MD_PDF_PASSWORD 提供密码\n');
+      return EXIT_ERROR;
+    }
+    process.stderr.write(`\n转换失败: ${(error as Error).message}\n`);
+    return EXIT_ERROR;
+  }
+};
+
+main().then((code) => {
+  process.exitCode = code;
+});
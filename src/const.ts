@@ -56,4 +56,22 @@ export const DefaultTextPrompt = `你是一个专业的文本结构化处理助
   \`\`\`
 
 请处理以下数据：
-`;
\ No newline at end of file
+`;
+
+export const FigurePrompt = `
+8. 对于页面中的图表、照片、示意图等非文字图片，不要描述图片内容，而是在其所在的阅读位置单独输出一行占位标签：
+  <figure bbox="x1,y1,x2,y2" />
+  其中 x1,y1 为图片左上角坐标，x2,y2 为图片右下角坐标，坐标按页面图像的宽和高归一化到 0-1000 的整数。
+  图片的标题或图注按正常文本输出在标签之后，公式和表格不要使用该标签。
+
+示例输出：
+
+本文采用问卷调查...
+<figure bbox="120,310,880,620" />
+图1 问卷回收情况
+`;
+
+export const TilePrompt = `
+注意：当前图像是整页按 {rows} 行 {columns} 列切分后的第 {row} 行第 {column} 列分块，与相邻分块的边缘有少量重叠。
+只输出该分块中完整可见的内容，被边缘截断的文字不要猜测补全，也不要输出页面其他部分的内容。
+`;
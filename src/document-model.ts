@@ -0,0 +1,198 @@
+/**
+ * 结构化文档模块，将转换后的Markdown拆分为标题、段落、表格、列表、公式、图片等块，并标注每个块的来源页码
+ */
+import type { PageStart } from './page-merge';
+import { HEADING_REGEX } from './heading-match';
+
+export type BlockType = 'heading' | 'paragraph' | 'table' | 'list' | 'formula' | 'figure' | 'code' | 'quote';
+
+export interface DocumentBlock {
+  type: BlockType;
+  // 块的Markdown原文
+  content: string;
+  // 块起始行所在的页码
+  pageIndex: number;
+  // 块跨页时结束行所在的页码
+  endPageIndex?: number;
+  // 在Markdown中的起止行号（从0开始，包含结束行）
+  startLine: number;
+  endLine: number;
+  // 标题的层级和文本
+  level?: number;
+  text?: string;
+  // 表格的单元格，第一行为表头
+  rows?: string[][];
+  // 列表项及是否为有序列表
+  items?: string[];
+  ordered?: boolean;
+  // 图片的地址和说明
+  src?: string;
+  alt?: string;
+}
+
+export interface DocumentPage {
+  pageIndex: number;
+  blocks: DocumentBlock[];
+}
+
+export interface StructuredDocument {
+  // 源文件名
+  source: string;
+  pages: DocumentPage[];
+}
+
+const FENCE = /^\s*(```|~~~)/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_SEPARATOR = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FIGURE = /^!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\s*$/;
+
+const splitCells = (row: string): string[] =>
+  row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+
+/**
+ * 将Markdown拆分为块，HTML注释（如目录和页码标记）不输出
+ * @param markdownText Markdown文本
+ */
+export const parseMarkdownBlocks = (markdownText: string): Array<Omit<DocumentBlock, 'pageIndex' | 'endPageIndex'>> => {
+  const lines = markdownText.split('\n');
+  const blocks: Array<Omit<DocumentBlock, 'pageIndex' | 'endPageIndex'>> = [];
+  let i = 0;
+
+  // 从 start 开始，收集满足条件的连续行
+  const takeWhile = (start: number, predicate: (line: string) => boolean): number => {
+    let end = start;
+    while (end + 1 < lines.length && predicate(lines[end + 1])) {
+      end++;
+    }
+    return end;
+  };
+  // 从 start 的下一行开始查找结束标记，找不到时到文档末尾
+  const findClosing = (start: number, predicate: (line: string) => boolean): number => {
+    for (let end = start + 1; end < lines.length; end++) {
+      if (predicate(lines[end])) {
+        return end;
+      }
+    }
+    return lines.length - 1;
+  };
+  const push = (type: BlockType, start: number, end: number, extra: Partial<DocumentBlock> = {}) => {
+    blocks.push({ type, content: lines.slice(start, end + 1).join('\n'), startLine: start, endLine: end, ...extra });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    let end = i;
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('<!--')) {
+      end = trimmed.includes('-->') ? i : findClosing(i, (next) => next.includes('-->'));
+    } else if (FENCE.test(line)) {
+      end = findClosing(i, (next) => FENCE.test(next));
+      push('code', i, end);
+    } else if (trimmed.startsWith('$$')) {
+      end = trimmed.length > 2 && trimmed.endsWith('$$') ? i : findClosing(i, (next) => next.trim().endsWith('$$'));
+      push('formula', i, end);
+    } else if (trimmed.startsWith('\\[')) {
+      end = trimmed.endsWith('\\]') ? i : findClosing(i, (next) => next.trim().endsWith('\\]'));
+      push('formula', i, end);
+    } else if (HEADING_REGEX.test(line)) {
+      const match = line.match(HEADING_REGEX)!;
+      push('heading', i, i, { level: match[1].length, text: match[2] });
+    } else if (TABLE_ROW.test(line)) {
+      end = takeWhile(i, (next) => TABLE_ROW.test(next));
+      const rows = lines
+        .slice(i, end + 1)
+        .filter((row) => !TABLE_SEPARATOR.test(row))
+        .map(splitCells);
+      push('table', i, end, { rows });
+    } else if (LIST_ITEM.test(line)) {
+      // 列表项及其缩进的续行、嵌套列表都属于同一个列表，同级的有序和无序列表项分为不同的列表
+      const [, indentText, marker] = line.match(LIST_ITEM)!;
+      const indent = indentText.length;
+      const ordered = /^\d/.test(marker);
+      end = takeWhile(i, (next) => {
+        const match = next.match(LIST_ITEM);
+        if (match) {
+          return match[1].length > indent || /^\d/.test(match[2]) === ordered;
+        }
+        return /^\s{2,}\S/.test(next);
+      });
+      const items = lines
+        .slice(i, end + 1)
+        .map((item) => item.match(LIST_ITEM))
+        .filter((match): match is RegExpMatchArray => !!match && match[1].length === indent)
+        .map((match) => match[3]);
+      push('list', i, end, { items, ordered });
+    } else if (FIGURE.test(trimmed)) {
+      const match = trimmed.match(FIGURE)!;
+      push('figure', i, i, { alt: match[1], src: match[2] });
+    } else if (trimmed.startsWith('>')) {
+      end = takeWhile(i, (next) => next.trim().startsWith('>'));
+      push('quote', i, end);
+    } else {
+      end = takeWhile(i, (next) => {
+        const nextTrimmed = next.trim();
+        return !!nextTrimmed && !HEADING_REGEX.test(next) && !FENCE.test(next) && !TABLE_ROW.test(next)
+          && !LIST_ITEM.test(next) && !FIGURE.test(nextTrimmed) && !/^(\$\$|\\\[|>|<!--)/.test(nextTrimmed);
+      });
+      push('paragraph', i, end);
+    }
+    i = end + 1;
+  }
+  return blocks;
+};
+
+/**
+ * 根据每页的起始行号查找某一行所在的页码
+ * @param pageStarts 每页的起始行号，按行号升序
+ * @param line 行号
+ */
+export const findPage = (pageStarts: PageStart[], line: number): number => {
+  let pageIndex = pageStarts[0]?.pageIndex ?? 1;
+  for (const start of pageStarts) {
+    if (start.line > line) {
+      break;
+    }
+    pageIndex = start.pageIndex;
+  }
+  return pageIndex;
+};
+
+/**
+ * 生成结构化文档
+ * @param markdownText 标题层级调整后的Markdown文本
+ * @param pageStarts 每页在文本中的起始行号
+ * @param source 源文件名
+ */
+export const buildStructuredDocument = (
+  markdownText: string,
+  pageStarts: PageStart[],
+  source: string
+): StructuredDocument => {
+  const pages = new Map<number, DocumentPage>();
+  for (const start of pageStarts) {
+    pages.set(start.pageIndex, { pageIndex: start.pageIndex, blocks: [] });
+  }
+  for (const block of parseMarkdownBlocks(markdownText)) {
+    const pageIndex = findPage(pageStarts, block.startLine);
+    const endPageIndex = findPage(pageStarts, block.endLine);
+    if (!pages.has(pageIndex)) {
+      pages.set(pageIndex, { pageIndex, blocks: [] });
+    }
+    pages.get(pageIndex)!.blocks.push({
+      ...block,
+      pageIndex,
+      ...(endPageIndex !== pageIndex ? { endPageIndex } : {}),
+    });
+  }
+  return {
+    source,
+    pages: [...pages.values()].sort((a, b) => a.pageIndex - b.pageIndex),
+  };
+};
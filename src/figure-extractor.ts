@@ -0,0 +1,154 @@
+/**
+ * 图片提取模块，根据模型标注的图片区域从页面图像中裁剪出图表和照片，并在Markdown中引用
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+
+// 模型标注的坐标归一化到 0-1000
+const BBOX_SCALE = 1000;
+
+// 匹配模型输出的图片占位标签，例如 <figure bbox="100,200,900,600">图1 实验结果</figure>
+const FIGURE_TAG_REGEX = /<figure\s+bbox\s*=\s*["']?([^"'/>]*)["']?\s*(?:\/>|>([\s\S]*?)<\/figure>)/gi;
+
+export interface FigureInfo {
+  pageIndex: number;
+  // 图片在当前页中的序号，从1开始
+  figureIndex: number;
+  // 图片文件路径，不写入文件时为空
+  filePath?: string;
+  // 图片的PNG数据，仅在不写入文件时返回
+  data?: Buffer;
+  // Markdown中引用的相对路径
+  relativePath: string;
+  // 在页面图像中的像素区域
+  region: { left: number; top: number; width: number; height: number };
+  caption?: string;
+}
+
+// 图注可能跨多行或包含方括号，放入图片说明前合并空白并转义
+const toAltText = (caption: string | undefined): string =>
+  (caption || '').replace(/\s+/g, ' ').trim().replace(/[[\]\\]/g, '\\$&');
+
+/**
+ * 将归一化坐标转换为页面图像中的像素区域，坐标无效时返回 null
+ */
+const toPixelRegion = (bbox: string, imageWidth: number, imageHeight: number): FigureInfo['region'] | null => {
+  const values = bbox.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length !== 4 || values.some((value) => Number.isNaN(value))) {
+    return null;
+  }
+  const clamp = (value: number) => Math.min(BBOX_SCALE, Math.max(0, value));
+  const [x1, y1, x2, y2] = values.map(clamp);
+  const left = Math.floor((Math.min(x1, x2) / BBOX_SCALE) * imageWidth);
+  const top = Math.floor((Math.min(y1, y2) / BBOX_SCALE) * imageHeight);
+  const width = Math.min(imageWidth - left, Math.ceil((Math.abs(x2 - x1) / BBOX_SCALE) * imageWidth));
+  const height = Math.min(imageHeight - top, Math.ceil((Math.abs(y2 - y1) / BBOX_SCALE) * imageHeight));
+  if (width < 8 || height < 8) {
+    return null;
+  }
+  return { left, top, width, height };
+};
+
+// 两个区域的交并比不低于该值时视为同一张图片
+const DUPLICATE_OVERLAP = 0.7;
+
+/**
+ * 计算两个区域的交并比
+ */
+const overlapRatio = (a: FigureInfo['region'], b: FigureInfo['region']): number => {
+  const width = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const height = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+};
+
+/**
+ * 将分块图像中标注的图片坐标换算为整页图像中的坐标，用于合并分块的识别结果
+ * @param content 分块的识别结果
+ * @param region 分块在页面图像中的像素区域
+ * @param imageWidth 页面图像宽度
+ * @param imageHeight 页面图像高度
+ */
+export const remapFigureBoxes = (
+  content: string,
+  region: FigureInfo['region'],
+  imageWidth: number,
+  imageHeight: number
+): string =>
+  content.replace(FIGURE_TAG_REGEX, (tag, bbox: string) => {
+    const values = bbox.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (values.length !== 4 || values.some((value) => Number.isNaN(value))) {
+      return tag;
+    }
+    const [x1, y1, x2, y2] = values;
+    const toPageX = (x: number) => Math.round(((region.left + (x / BBOX_SCALE) * region.width) / imageWidth) * BBOX_SCALE);
+    const toPageY = (y: number) => Math.round(((region.top + (y / BBOX_SCALE) * region.height) / imageHeight) * BBOX_SCALE);
+    return tag.replace(bbox, [toPageX(x1), toPageY(y1), toPageX(x2), toPageY(y2)].join(','));
+  });
+
+/**
+ * 从页面内容中提取模型标注的图片，裁剪后保存为 page-N-fig-M.png，并将占位标签替换为Markdown图片链接
+ * @param content 模型输出的页面内容
+ * @param pageImage 页面图像
+ * @param pageIndex 原始页码
+ * @param imagesDir 图片保存目录，为 null 时不写入文件，图片数据通过 data 返回
+ * @param linkDir Markdown中引用图片时使用的相对目录
+ * @returns 替换后的内容和提取到的图片信息
+ */
+export const extractFigures = async (
+  content: string,
+  pageImage: Buffer,
+  pageIndex: number,
+  imagesDir: string | null,
+  linkDir: string = 'images'
+): Promise<{ content: string; figures: FigureInfo[] }> => {
+  const matches = [...content.matchAll(FIGURE_TAG_REGEX)];
+  if (matches.length === 0) {
+    return { content, figures: [] };
+  }
+
+  const { width = 0, height = 0 } = await sharp(pageImage).metadata();
+  if (imagesDir) {
+    await fs.ensureDir(imagesDir);
+  }
+
+  const figures: FigureInfo[] = [];
+  const replacements: string[] = [];
+  for (const match of matches) {
+    const caption = match[2]?.trim() || undefined;
+    const region = toPixelRegion(match[1], width, height);
+    if (!region) {
+      console.warn(`第 ${pageIndex} 页的图片区域无效，已忽略: ${match[0]}`);
+      replacements.push(caption ? `${caption}\n` : '');
+      continue;
+    }
+    // 分块识别时重叠区域中的图片会被标注两次，与已提取的图片基本重合时忽略
+    if (figures.some((figure) => overlapRatio(figure.region, region) >= DUPLICATE_OVERLAP)) {
+      replacements.push('');
+      continue;
+    }
+
+    const figureIndex = figures.length + 1;
+    const fileName = `page-${pageIndex}-fig-${figureIndex}.png`;
+    const relativePath = path.posix.join(linkDir, fileName);
+    const image = sharp(pageImage).extract(region).png();
+    if (imagesDir) {
+      const filePath = path.join(imagesDir, fileName);
+      await image.toFile(filePath);
+      figures.push({ pageIndex, figureIndex, filePath, relativePath, region, caption });
+    } else {
+      figures.push({ pageIndex, figureIndex, data: await image.toBuffer(), relativePath, region, caption });
+    }
+    replacements.push(`![${toAltText(caption) || `Figure ${figureIndex}`}](${relativePath})`);
+  }
+
+  let index = 0;
+  return {
+    content: content.replace(FIGURE_TAG_REGEX, () => replacements[index++]),
+    figures,
+  };
+};
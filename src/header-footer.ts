@@ -0,0 +1,171 @@
+/**
+ * 页眉页脚清理模块，找出在多页的页首或页尾重复出现的行（允许其中的页码随页变化）并删除
+ */
+import { PageContent } from './page-merge';
+
+export interface HeaderFooterOptions {
+  // 每页页首和页尾各检查的非空行数，默认 3
+  scanLines?: number;
+  // 同一行至少在多大比例的页面中出现才视为页眉页脚，默认 0.5
+  minRepeatRatio?: number;
+  // 各页PDF文本层的内容，键为页码；在至少3页中都位于文本层首尾的行，不受 minRepeatRatio 限制
+  textLayers?: Record<number, string>;
+}
+
+export interface HeaderFooterResult {
+  pages: PageContent[];
+  // 被删除的行（去重后）
+  removed: string[];
+}
+
+// 页数少于该值时无法可靠地判断重复，不做任何删除
+const MIN_PAGES = 3;
+
+// 单独成行的页码，例如 12、- 12 -、Page 12 of 30、第 12 页、xii
+const PAGE_NUMBER_PATTERNS = [
+  /^[-—–\s]*#[-—–\s]*$/,
+  /^(page|p\.?)\s*#(\s*(of|\/)\s*#)?$/,
+  /^#\s*\/\s*#$/,
+  /^第#页(,?共#页)?$/,
+  /^(?=[ivx])x{0,3}(ix|iv|v?i{0,3})$/,
+];
+
+/**
+ * 归一化一行文本：去掉Markdown标记和多余空白
+ */
+const normalizeLine = (line: string): string =>
+  line
+    .replace(/^#+\s*/, '')
+    .replace(/[*_`]/g, '')
+    .replace(/[，,]/g, ',')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+// 将数字替换为占位符，以便匹配页码不同的页眉页脚
+const toNumberPattern = (normalized: string): string => normalized.replace(/\d+/g, '#');
+
+const isPageNumber = (normalized: string): boolean =>
+  PAGE_NUMBER_PATTERNS.some((pattern) => pattern.test(toNumberPattern(normalized).replace(/\s+/g, '')));
+
+const ROMAN_VALUES: Record<string, number> = { i: 1, v: 5, x: 10 };
+
+// 小写罗马数字页码的值，例如 xii 为 12
+const romanValue = (text: string): number =>
+  [...text].reduce((total, char, i) => {
+    const value = ROMAN_VALUES[char];
+    return total + (value < (ROMAN_VALUES[text[i + 1]] || 0) ? -value : value);
+  }, 0);
+
+/**
+ * 获取页首和页尾待检查的行号
+ */
+const getEdgeLineIndexes = (lines: string[], scanLines: number): { top: number[]; bottom: number[] } => {
+  const nonEmpty = lines
+    .map((line, index) => ({ line: line.trim(), index }))
+    // 标题、表格行、代码块标记和引用块（包括失败页的提示）不会是页眉页脚
+    .filter(({ line }) => line && !/^(#|\||```|>)/.test(line))
+    .map(({ index }) => index);
+  const top = nonEmpty.slice(0, scanLines);
+  const bottom = nonEmpty.slice(-scanLines).filter((index) => !top.includes(index));
+  return { top, bottom };
+};
+
+/**
+ * 获取文本层首尾的行，作为页眉页脚的提示
+ */
+const getTextLayerHints = (text: string | undefined, scanLines: number): Set<string> => {
+  if (!text) {
+    return new Set();
+  }
+  const lines = text.split(/\r?\n/).map(normalizeLine).filter(Boolean);
+  return new Set([...lines.slice(0, scanLines), ...lines.slice(-scanLines)]);
+};
+
+/**
+ * 删除在多页中重复出现的页眉、页脚和页码
+ * @param pages 按页码排序的页面内容
+ * @param options 检测参数
+ */
+export const removeRunningHeadersFooters = (
+  pages: PageContent[],
+  options: HeaderFooterOptions = {}
+): HeaderFooterResult => {
+  const { scanLines = 3, minRepeatRatio = 0.5, textLayers = {} } = options;
+  if (pages.length < MIN_PAGES) {
+    return { pages, removed: [] };
+  }
+
+  // 分别统计页首、页尾的每一行在多少页中出现过：完全相同的行按原文计数；
+  // 行首或行尾带数字（或整行为罗马数字）的行按“数字与页码的差值”计数，差值固定说明数字是随页递增的页码；
+  // 同时单独统计位于文本层首尾的页数
+  const pageLines = pages.map((page) => page.content.split('\n'));
+  const edges = pageLines.map((lines) => getEdgeLineIndexes(lines, scanLines));
+  const hints = pages.map((page) => getTextLayerHints(textLayers[page.pageIndex], scanLines));
+  const counts = { top: new Map<string, number>(), bottom: new Map<string, number>() };
+  const hintedCounts = { top: new Map<string, number>(), bottom: new Map<string, number>() };
+  const getKeys = (line: string, pageIndex: number): string[] => {
+    const normalized = normalizeLine(line);
+    // 页码一般位于行首或行尾
+    const pageNumber = normalized.match(/^\d+|\d+$/);
+    if (pageNumber) {
+      return [normalized, `${toNumberPattern(normalized)}@${Number(pageNumber[0]) - pageIndex}`];
+    }
+    if (/^[ivx]+$/.test(normalized) && isPageNumber(normalized)) {
+      return [normalized, `roman@${romanValue(normalized) - pageIndex}`];
+    }
+    return [normalized];
+  };
+  const countOf = (zone: 'top' | 'bottom', line: string, pageIndex: number, source = counts): number =>
+    Math.max(...getKeys(line, pageIndex).map((key) => source[zone].get(key) || 0));
+  // 按页码差值统计的次数，只有随页递增的数字才会在多页中得到相同的键
+  const pageNumberCountOf = (zone: 'top' | 'bottom', line: string, pageIndex: number): number =>
+    Math.max(0, ...getKeys(line, pageIndex).slice(1).map((key) => counts[zone].get(key) || 0));
+
+  pages.forEach((page, i) => {
+    for (const zone of ['top', 'bottom'] as const) {
+      const seen = new Set(edges[i][zone].flatMap((index) => getKeys(pageLines[i][index], page.pageIndex)));
+      const hinted = new Set(edges[i][zone]
+        .filter((index) => hints[i].has(normalizeLine(pageLines[i][index])))
+        .flatMap((index) => getKeys(pageLines[i][index], page.pageIndex)));
+      for (const key of seen) {
+        counts[zone].set(key, (counts[zone].get(key) || 0) + 1);
+      }
+      for (const key of hinted) {
+        hintedCounts[zone].set(key, (hintedCounts[zone].get(key) || 0) + 1);
+      }
+    }
+  });
+
+  const threshold = Math.max(MIN_PAGES, Math.ceil(pages.length * minRepeatRatio));
+  const removed = new Set<string>();
+  const result = pages.map((page, i) => {
+    const toRemove = new Set<number>();
+    for (const zone of ['top', 'bottom'] as const) {
+      for (const index of edges[i][zone]) {
+        const normalized = normalizeLine(pageLines[i][index]);
+        const count = countOf(zone, pageLines[i][index], page.pageIndex);
+        // 文本层的提示需要在至少 MIN_PAGES 页中都成立；页码也必须在多页中按相同的差值出现
+        const repeated = count >= threshold
+          || countOf(zone, pageLines[i][index], page.pageIndex, hintedCounts) >= MIN_PAGES;
+        const pageNumber = isPageNumber(normalized) && pageNumberCountOf(zone, pageLines[i][index], page.pageIndex) >= 2;
+        if (normalized && (repeated || pageNumber)) {
+          toRemove.add(index);
+          removed.add(pageLines[i][index].trim());
+        }
+      }
+    }
+    if (toRemove.size === 0) {
+      return page;
+    }
+    const content = pageLines[i]
+      .filter((_, index) => !toRemove.has(index))
+      .join('\n')
+      // 删除后可能留下多余的空行
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/^\s*\n/, '');
+    return { ...page, content };
+  });
+
+  return { pages: result, removed: [...removed] };
+};
@@ -0,0 +1,170 @@
+/**
+ * 标题匹配模块，将模型调整后的标题按顺序对应回原文中的标题，容忍空白、标点、全角半角和少量文字差异
+ */
+
+// 原文中的标题
+export interface SourceHeading {
+  // 所在行号，从0开始
+  line: number;
+  level: number;
+  text: string;
+}
+
+export interface HeadingMatchReport {
+  // 成功对应并设置层级的标题数
+  matched: number;
+  // 未能与模型输出对应的原文标题，保留原层级
+  unmapped: SourceHeading[];
+  // 模型输出中无法对应到原文的标题
+  unmatched: string[];
+}
+
+// 模糊匹配的最低相似度
+const FUZZY_THRESHOLD = 0.8;
+// 模糊匹配时向后查找的最大标题数，避免错配到很远的同名标题
+const FUZZY_WINDOW = 20;
+
+// Markdown标题行，标题层级、结构化文档和分块共用，保证各处对标题的判断一致
+export const HEADING_REGEX = /^(#{1,6})\s*(.*?)\s*#*\s*$/;
+
+/**
+ * 归一化标题文本：全角转半角、去掉Markdown强调标记、统一标点、去掉空白并转小写
+ * @param text 标题文本
+ */
+export const normalizeHeadingText = (text: string): string =>
+  text
+    .normalize('NFKC')
+    .replace(/[*_`~]/g, '')
+    .replace(/[、。．]/g, '.')
+    .replace(/[“”"'‘’]/g, '')
+    .replace(/[:：]/g, ':')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+
+// 编辑距离相似度，取值 0-1
+const similarity = (a: string, b: string): number => {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * 提取Markdown中的标题，忽略代码块中的内容
+ * @param markdownText Markdown文本
+ */
+export const extractHeadings = (markdownText: string): SourceHeading[] => {
+  const headings: SourceHeading[] = [];
+  let inFence = false;
+  markdownText.split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = !inFence && line.match(HEADING_REGEX);
+    if (match && match[2]) {
+      headings.push({ line: index, level: match[1].length, text: match[2] });
+    }
+  });
+  return headings;
+};
+
+/**
+ * 按行号设置标题的层级，不在映射中的行保持不变
+ * @param markdownText Markdown文本
+ * @param levels 标题所在行号到新层级的映射
+ */
+export const applyHeadingLevels = (markdownText: string, levels: Map<number, number>): string => {
+  const lines = markdownText.split('\n');
+  for (const [line, level] of levels) {
+    const match = lines[line]?.match(HEADING_REGEX);
+    if (!match) {
+      continue;
+    }
+    const newLine = `${'#'.repeat(level)} ${match[2]}`;
+    if (newLine !== lines[line]) {
+      console.log('转换前：' + lines[line] + '===>转换后' + newLine);
+    }
+    lines[line] = newLine;
+  }
+  return lines.join('\n');
+};
+
+/**
+ * 在原文标题中查找与模型输出的标题对应的位置：优先在当前位置之后按顺序精确匹配，
+ * 其次在附近模糊匹配，最后在尚未匹配的标题中查找（模型调整了顺序时）
+ */
+const findMatch = (target: string, sources: string[], assigned: boolean[], from: number): number => {
+  for (let i = from; i < sources.length; i++) {
+    if (!assigned[i] && sources[i] === target) {
+      return i;
+    }
+  }
+  let best = -1;
+  let bestScore = FUZZY_THRESHOLD;
+  for (let i = from; i < Math.min(sources.length, from + FUZZY_WINDOW); i++) {
+    const score = assigned[i] ? 0 : similarity(target, sources[i]);
+    if (score >= bestScore && (best === -1 || score > bestScore)) {
+      best = i;
+      bestScore = score;
+    }
+  }
+  if (best !== -1) {
+    return best;
+  }
+  return sources.findIndex((source, i) => i < from && !assigned[i] && source === target);
+};
+
+/**
+ * 根据模型调整后的标题结构，重新设置原文中标题的层级
+ * @param markdownText 原始Markdown文本
+ * @param newTitle 模型输出的标题结构
+ * @returns 调整后的文本和匹配报告
+ */
+export const matchHeadingLevels = (
+  markdownText: string,
+  newTitle: string
+): { content: string; report: HeadingMatchReport } => {
+  const headings = extractHeadings(markdownText);
+  const targets = extractHeadings(newTitle);
+  const sources = headings.map((heading) => normalizeHeadingText(heading.text));
+  const assigned = headings.map(() => false);
+  const levels = new Map<number, number>();
+  const unmatched: string[] = [];
+
+  let position = 0;
+  for (const target of targets) {
+    const index = findMatch(normalizeHeadingText(target.text), sources, assigned, position);
+    if (index === -1) {
+      unmatched.push(target.text);
+      continue;
+    }
+    assigned[index] = true;
+    levels.set(headings[index].line, target.level);
+    position = Math.max(position, index + 1);
+  }
+
+  return {
+    content: applyHeadingLevels(markdownText, levels),
+    report: {
+      matched: levels.size,
+      unmapped: headings.filter((_, i) => !assigned[i]),
+      unmatched,
+    },
+  };
+};
@@ -0,0 +1,185 @@
+/**
+ * 规则标题层级模块，根据标题的编号方式（1、1.1、I/II/(ii)、第一章、一、(a) 等）推断层级，无需调用模型
+ */
+import { SourceHeading } from './heading-match';
+
+// 标题层级的处理策略：llm 由模型调整（默认），rules 仅使用编号规则，hybrid 先用规则、无法确定的标题再交给模型，none 不调整
+export type HeadingStrategy = 'llm' | 'rules' | 'hybrid' | 'none';
+
+export interface HeadingRuleResult {
+  // 根据规则确定的层级，键为标题所在行号
+  levels: Map<number, number>;
+  // 没有可识别编号的标题
+  unresolved: SourceHeading[];
+  // 一级章节所在的层级，识别出文档标题时为2，否则为1
+  baseLevel: number;
+}
+
+const MAX_LEVEL = 6;
+const CN_NUMBER = '[一二三四五六七八九十百零〇两]+';
+
+// 编号样式，按顺序匹配，返回样式名称；同一样式的标题属于同一级
+const NUMBERING_RULES: Array<{ pattern: RegExp; style: (match: RegExpMatchArray) => string }> = [
+  { pattern: new RegExp(`^第(${CN_NUMBER}|\\d+)(部分|篇|编)`), style: () => 'part' },
+  { pattern: new RegExp(`^第(${CN_NUMBER}|\\d+)章`), style: () => 'chapter' },
+  { pattern: new RegExp(`^第(${CN_NUMBER}|\\d+)节`), style: () => 'section' },
+  { pattern: /^part\s+([ivxlc]+|\d+)\b/i, style: () => 'part' },
+  { pattern: /^chapter\s+(\d+|[ivxlc]+)\b/i, style: () => 'chapter' },
+  // 1 / 1.2 / 1.2.3，按点分隔的段数区分层级；限制每段位数以排除年份等数字
+  { pattern: /^(\d{1,3}(?:\.\d{1,3})*)\.?(?=[\s、]|[^\x00-\x7F])/, style: (match) => `decimal:${match[1].split('.').length}` },
+  // I / ii. / (iii)，单个字母 I、V、X、L、C 也可能是字母编号，由 resolveLetterStyles 根据相邻标题确定
+  { pattern: /^(?=[IVXLC])C{0,3}(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})(?:[.、]\s*|\s+)(?=\S)/, style: () => 'roman' },
+  { pattern: /^(?=[ivxlc])c{0,3}(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})[.、]\s*(?=\S)/, style: () => 'roman-lower' },
+  { pattern: /^[（(]?(?=[ivxlc])c{0,3}(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})[)）]\s*(?=\S)/, style: () => 'roman-paren' },
+  { pattern: new RegExp(`^${CN_NUMBER}[、.．]`), style: () => 'cn' },
+  { pattern: new RegExp(`^[（(]${CN_NUMBER}[)）]`), style: () => 'cn-paren' },
+  { pattern: /^[（(]\d{1,3}[)）]/, style: () => 'num-paren' },
+  { pattern: /^[A-Z][.、]\s*(?=\S)/, style: () => 'alpha-upper' },
+  { pattern: /^[（(]?[a-z][)）]\s*(?=\S)/, style: () => 'alpha-lower' },
+];
+
+// 单字母编号的写法，及其对应的罗马数字样式和字母样式（小写字母加点的写法不作为编号）
+const LETTER_RULES: Array<{ pattern: RegExp; roman: string; alpha?: string }> = [
+  { pattern: /^([A-Z])[.、]\s*(?=\S)/, roman: 'roman', alpha: 'alpha-upper' },
+  { pattern: /^[（(]?([a-z])[)）]\s*(?=\S)/, roman: 'roman-paren', alpha: 'alpha-lower' },
+  { pattern: /^([a-z])[.、]\s*(?=\S)/, roman: 'roman-lower' },
+];
+
+const ROMAN_VALUES: Record<string, number> = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+const normalizeHeading = (text: string): string => text.normalize('NFKC').replace(/^[*_]+/, '').trim();
+
+const romanValue = (numeral: string): number =>
+  [...numeral.toLowerCase()].reduce((total, char, i, chars) => {
+    const value = ROMAN_VALUES[char];
+    return total + (value < (ROMAN_VALUES[chars[i + 1]] || 0) ? -value : value);
+  }, 0);
+
+/**
+ * 识别标题的编号样式，没有编号时返回 undefined
+ * 单个字母 I、V、X、L、C 按罗马数字识别，在 resolveHeadingLevels 中再结合相邻标题判断
+ * @param text 标题文本
+ */
+export const getNumberingStyle = (text: string): string | undefined => {
+  const normalized = normalizeHeading(text);
+  for (const rule of NUMBERING_RULES) {
+    const match = normalized.match(rule.pattern);
+    if (match) {
+      return rule.style(match);
+    }
+  }
+  return undefined;
+};
+
+/**
+ * 确定单个字母 I、V、X、L、C 是罗马数字还是字母编号：
+ * 前后最近的同写法罗马数字（如 II）或字母（如 H、J）与其连续时采用对应样式，都连续时取更近的一种，无法判断时 I 视为罗马数字，其余视为字母
+ * @param headings 按文档顺序排列的标题
+ * @param styles 各标题单独识别的编号样式
+ */
+const resolveLetterStyles = (headings: SourceHeading[], styles: Array<string | undefined>): Array<string | undefined> => {
+  const letters = headings.map((heading) => {
+    const text = normalizeHeading(heading.text);
+    for (const rule of LETTER_RULES) {
+      const match = text.match(rule.pattern);
+      if (match) {
+        return { rule, letter: match[1].toLowerCase() };
+      }
+    }
+    return undefined;
+  });
+  const numerals = headings.map((heading) => normalizeHeading(heading.text).match(/^[（(]?([ivxlc]+)/i)?.[1]);
+  const isAmbiguous = (i: number): boolean => !!letters[i] && letters[i]!.letter in ROMAN_VALUES;
+
+  // 在 from 之前或之后查找最近的、满足条件的标题
+  const nearest = (from: number, step: number, accept: (j: number) => boolean): number => {
+    for (let j = from + step; j >= 0 && j < headings.length; j += step) {
+      if (accept(j)) {
+        return j;
+      }
+    }
+    return -1;
+  };
+
+  return styles.map((style, i) => {
+    if (!isAmbiguous(i)) {
+      return style;
+    }
+    const { rule, letter } = letters[i]!;
+    const isRoman = (j: number): boolean => !isAmbiguous(j) && styles[j] === rule.roman;
+    const isAlpha = (j: number): boolean => !isAmbiguous(j) && letters[j]?.rule === rule;
+    const alphaValue = (j: number): number => letters[j]!.letter.charCodeAt(0) - 96;
+
+    // 与之连续的相邻标题的距离，没有时为 Infinity
+    const distance = (neighbours: Array<[number, boolean]>): number =>
+      Math.min(...neighbours.filter(([j, adjacent]) => j !== -1 && adjacent).map(([j]) => Math.abs(j - i)), Infinity);
+
+    const value = romanValue(letter);
+    const prevRoman = nearest(i, -1, isRoman);
+    const nextRoman = nearest(i, 1, isRoman);
+    const romanDistance = distance([
+      [prevRoman, prevRoman !== -1 && romanValue(numerals[prevRoman]!) === value - 1],
+      [nextRoman, nextRoman !== -1 && romanValue(numerals[nextRoman]!) === value + 1],
+    ]);
+
+    const position = letter.charCodeAt(0) - 96;
+    const prevAlpha = nearest(i, -1, isAlpha);
+    const nextAlpha = nearest(i, 1, isAlpha);
+    const alphaDistance = distance([
+      [prevAlpha, prevAlpha !== -1 && alphaValue(prevAlpha) === position - 1],
+      [nextAlpha, nextAlpha !== -1 && alphaValue(nextAlpha) === position + 1],
+    ]);
+
+    // 两种样式都连续时取距离更近的一种
+    const roman = romanDistance === alphaDistance ? letter === 'i' : romanDistance < alphaDistance;
+    return roman ? rule.roman : rule.alpha;
+  });
+};
+
+/**
+ * 根据编号规则推断标题层级
+ * 按出现顺序维护编号样式的栈：首次出现的样式作为上一个编号标题的下一级，再次出现的样式回到其原有层级
+ * @param headings 按文档顺序排列的标题
+ */
+export const resolveHeadingLevels = (headings: SourceHeading[]): HeadingRuleResult => {
+  const styles = resolveLetterStyles(headings, headings.map((heading) => getNumberingStyle(heading.text)));
+  const levels = new Map<number, number>();
+
+  // 第一个标题没有编号、出现在所有编号标题之前，且原层级是唯一的最高层级时，视为文档标题
+  const minLevel = Math.min(...headings.map((heading) => heading.level));
+  const hasTitle = headings.length > 1 && !styles[0] && styles.some(Boolean)
+    && headings[0].level === minLevel
+    && headings.filter((heading) => heading.level === minLevel).length === 1;
+  const baseLevel = hasTitle ? 2 : 1;
+  if (hasTitle) {
+    levels.set(headings[0].line, 1);
+  }
+
+  const stack: string[] = [];
+  const unresolved: SourceHeading[] = [];
+  headings.forEach((heading, i) => {
+    const style = styles[i];
+    if (hasTitle && i === 0) {
+      return;
+    }
+    if (!style) {
+      unresolved.push(heading);
+      return;
+    }
+    const position = stack.indexOf(style);
+    if (position === -1) {
+      // 多级数字编号（如 2.1）首次出现时，接在上一级数字编号（如 2）之下，而不是之前出现的其他样式之下
+      const depth = style.startsWith('decimal:') ? Number(style.slice(8)) : 0;
+      const parent = depth > 1 ? stack.indexOf(`decimal:${depth - 1}`) : -1;
+      if (parent !== -1) {
+        stack.length = parent + 1;
+      }
+      stack.push(style);
+    } else {
+      stack.length = position + 1;
+    }
+    levels.set(heading.line, Math.min(MAX_LEVEL, baseLevel + stack.length - 1));
+  });
+
+  return { levels, unresolved, baseLevel };
+};
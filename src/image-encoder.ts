@@ -0,0 +1,136 @@
+/**
+ * 图像编码模块，发送给模型前按提供商的尺寸和大小限制缩放页面图像，并选择合适的编码格式
+ */
+import sharp from 'sharp';
+
+// 提供商对单张图像的限制
+export interface ImageLimits {
+  // 最长边的像素数
+  maxDimension?: number;
+  // 总像素数（宽 × 高）
+  maxPixels?: number;
+  // base64编码后的字节数
+  maxBytes?: number;
+}
+
+// 发送给模型的图像格式：auto 优先使用无损PNG，超出大小限制时改用JPEG
+export type ImageFormat = 'auto' | 'png' | 'jpeg' | 'webp';
+
+export interface ImageEncodingOptions {
+  format?: ImageFormat;
+  // JPEG/WebP 的初始质量，默认 85，超出大小限制时逐步降低
+  quality?: number;
+  // 是否转为灰度图，适合纯文字的扫描件，可明显减小体积
+  grayscale?: boolean;
+  // 覆盖提供商的默认限制
+  limits?: ImageLimits;
+}
+
+export interface EncodedImage {
+  data: Buffer;
+  mimeType: string;
+  width: number;
+  height: number;
+}
+
+// 有损编码依次尝试的质量，仍然超出限制时缩小图像
+const MIN_QUALITY = 50;
+const QUALITY_STEP = 15;
+// 每次缩小的比例和允许缩小到的最短边
+const SHRINK_RATIO = 0.75;
+const MIN_DIMENSION = 256;
+
+const base64Length = (bytes: number): number => Math.ceil(bytes / 3) * 4;
+
+/**
+ * 计算满足最长边和总像素限制的尺寸，不放大图像
+ */
+const fitSize = (width: number, height: number, limits: ImageLimits): { width: number; height: number } => {
+  let ratio = 1;
+  if (limits.maxDimension) {
+    ratio = Math.min(ratio, limits.maxDimension / Math.max(width, height));
+  }
+  if (limits.maxPixels) {
+    ratio = Math.min(ratio, Math.sqrt(limits.maxPixels / (width * height)));
+  }
+  return {
+    width: Math.max(1, Math.floor(width * ratio)),
+    height: Math.max(1, Math.floor(height * ratio)),
+  };
+};
+
+/**
+ * 按指定尺寸和格式编码图像
+ */
+const encode = async (
+  image: Buffer,
+  width: number,
+  height: number,
+  format: Exclude<ImageFormat, 'auto'>,
+  quality: number,
+  grayscale: boolean
+): Promise<Buffer> => {
+  let pipeline = sharp(image).resize(width, height, { fit: 'fill' });
+  if (grayscale) {
+    // 输出单通道图像才能减小体积，透明区域先填充为白色
+    pipeline = pipeline.flatten({ background: '#ffffff' }).grayscale().toColourspace('b-w');
+  }
+  if (format === 'jpeg') {
+    // JPEG不支持透明通道，透明区域填充为白色
+    return pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+  if (format === 'webp') {
+    return pipeline.webp({ quality }).toBuffer();
+  }
+  return pipeline.png({ compressionLevel: 9 }).toBuffer();
+};
+
+/**
+ * 编码发送给模型的图像：先缩放到尺寸限制内，再按格式编码；超出大小限制时降低有损编码的质量，仍然超出时继续缩小
+ * @param image 页面图像（PNG）
+ * @param limits 提供商的图像限制
+ * @param options 编码选项
+ * @returns 编码后的图像及其MIME类型和尺寸
+ */
+export const encodeImageForModel = async (
+  image: Buffer,
+  limits: ImageLimits = {},
+  options: ImageEncodingOptions = {}
+): Promise<EncodedImage> => {
+  const { format = 'auto', quality = 85, grayscale = false } = options;
+  const metadata = await sharp(image).metadata();
+  const sourceWidth = metadata.width || 0;
+  const sourceHeight = metadata.height || 0;
+  let { width, height } = fitSize(sourceWidth, sourceHeight, limits);
+
+  // 无需缩放、无需转换时直接使用原图
+  if (format !== 'jpeg' && format !== 'webp' && !grayscale && metadata.format === 'png'
+    && width === sourceWidth && height === sourceHeight
+    && (!limits.maxBytes || base64Length(image.length) <= limits.maxBytes)) {
+    return { data: image, mimeType: 'image/png', width, height };
+  }
+
+  while (true) {
+    // auto 模式先尝试PNG，超出大小限制再改用JPEG
+    const formats: Array<Exclude<ImageFormat, 'auto'>> = format === 'auto' ? ['png', 'jpeg'] : [format];
+    for (const current of formats) {
+      // PNG无损，只编码一次；JPEG/WebP 逐步降低质量
+      const qualities = [quality];
+      for (let q = quality - QUALITY_STEP; current !== 'png' && q >= MIN_QUALITY; q -= QUALITY_STEP) {
+        qualities.push(q);
+      }
+      for (const q of qualities) {
+        const data = await encode(image, width, height, current, q, grayscale);
+        if (!limits.maxBytes || base64Length(data.length) <= limits.maxBytes) {
+          return { data, mimeType: `image/${current}`, width, height };
+        }
+      }
+    }
+
+    if (Math.max(width, height) * SHRINK_RATIO < MIN_DIMENSION) {
+      throw new Error(`图像无法压缩到 ${limits.maxBytes} 字节以内(${sourceWidth}x${sourceHeight})`);
+    }
+    width = Math.max(1, Math.floor(width * SHRINK_RATIO));
+    height = Math.max(1, Math.floor(height * SHRINK_RATIO));
+  }
+};
@@ -1,12 +1,60 @@
 /**
  * 图像生成模块，负责将PDF区域转换为图像
  */
-import { PDFiumLibrary } from "@hyzyla/pdfium";
+import { PDFiumLibrary, PDFiumPage, PDFiumDocument } from "@hyzyla/pdfium";
 import fs from 'fs-extra';
 import sharp from 'sharp';
+import { parsePageRange } from './utils';
+import { PageTextLayer } from './text-layer';
+import { AbortError } from './modelClient';
+import { splitPageIntoTiles, PageTile, TileOptions } from './page-tiles';
 
-// 定义一些类型
-export type PageImage = { index: number; data: Buffer };
+// 定义一些类型，超大页面启用分块时 tiles 为切分后的分块
+export type PageImage = { index: number; data: Buffer; textLayer?: PageTextLayer; tiles?: PageTile[] };
+
+export interface PageSelectOptions {
+  // 页码范围，例如 "1-3,7,10-"，不传则处理全部页面
+  pages?: string;
+}
+
+export interface PdfOpenOptions {
+  // 加密PDF的打开密码
+  password?: string;
+}
+
+// PDF无法打开的原因：需要密码、密码错误、文件损坏或不是PDF、不支持的加密方式、其他错误
+export type PdfLoadErrorCode = 'PASSWORD_REQUIRED' | 'INCORRECT_PASSWORD' | 'CORRUPT_FILE' | 'UNSUPPORTED_SECURITY' | 'UNKNOWN';
+
+/**
+ * PDF文档无法打开时抛出的错误，code 标明具体原因
+ */
+export class PdfLoadError extends Error {
+  code: PdfLoadErrorCode;
+
+  constructor(message: string, code: PdfLoadErrorCode) {
+    super(message);
+    this.name = 'PdfLoadError';
+    this.code = code;
+  }
+}
+
+// PDF书签（大纲）中的一项，按文档顺序排列
+export interface OutlineEntry {
+  title: string;
+  // 层级，顶层书签为1
+  level: number;
+  // 书签指向的页码（从1开始），没有目标页时为空
+  pageIndex?: number;
+}
+
+export interface FullPageImageOptions extends PageSelectOptions, PdfOpenOptions {
+  // 是否同时提取页面的文本层信息
+  extractText?: boolean;
+  // 取消信号，触发后停止渲染剩余页面并释放PDF文档
+  signal?: AbortSignal;
+  // 将超大页面切分为重叠的分块，分别交给模型识别
+  tiles?: TileOptions;
+}
 
 
 async function renderFunction(options: { data: sharp.SharpInput | sharp.SharpInput[] | undefined; width: any; height: any; }) {
@@ -21,12 +69,143 @@ async function renderFunction(options: { data: sharp.SharpInput | sharp.SharpInp
   .toBuffer();
 }
 
+/**
+ * 提取页面的文本层，并统计图片和路径对象数量用于判断页面类型
+ * @param page PDF页面
+ */
+const extractTextLayer = (page: PDFiumPage): PageTextLayer => {
+  let imageObjectCount = 0;
+  let pathObjectCount = 0;
+  for (const object of page.objects()) {
+    if (object.type === 'image') {
+      imageObjectCount++;
+    } else if (object.type === 'path') {
+      pathObjectCount++;
+    }
+  }
+  return { text: page.getText(), imageObjectCount, pathObjectCount };
+};
+
+// 防止损坏的书签链表形成环或嵌套过深
+const MAX_OUTLINE_ENTRIES = 10000;
+const MAX_OUTLINE_DEPTH = 16;
+
+/**
+ * 读取PDF文档的书签（大纲）
+ * @hyzyla/pdfium 没有封装书签接口，这里直接调用底层的 FPDFBookmark_* 函数，当前构建不支持时返回空数组
+ * @param document PDF文档
+ */
+const readOutline = (document: PDFiumDocument): OutlineEntry[] => {
+  const { module, documentIdx } = document as unknown as { module: any; documentIdx: number };
+  if (typeof module?._FPDFBookmark_GetFirstChild !== 'function') {
+    return [];
+  }
+
+  const readTitle = (bookmark: number): string => {
+    // 返回值为包含结束符的 UTF-16LE 字节数
+    const length = module._FPDFBookmark_GetTitle(bookmark, 0, 0);
+    if (length <= 2) {
+      return '';
+    }
+    const pointer = module.wasmExports.malloc(length);
+    try {
+      module._FPDFBookmark_GetTitle(bookmark, pointer, length);
+      const buffer = new Uint8Array(module.HEAPU8.buffer, pointer, length - 2);
+      return new TextDecoder('utf-16le').decode(buffer).trim();
+    } finally {
+      module.wasmExports.free(pointer);
+    }
+  };
+
+  const readPageIndex = (bookmark: number): number | undefined => {
+    let dest = module._FPDFBookmark_GetDest(documentIdx, bookmark);
+    if (!dest) {
+      const action = module._FPDFBookmark_GetAction(bookmark);
+      dest = action ? module._FPDFAction_GetDest(documentIdx, action) : 0;
+    }
+    const pageIndex = dest ? module._FPDFDest_GetDestPageIndex(documentIdx, dest) : -1;
+    return pageIndex >= 0 ? pageIndex + 1 : undefined;
+  };
+
+  const entries: OutlineEntry[] = [];
+  const visited = new Set<number>();
+  const walk = (parent: number, level: number) => {
+    let bookmark = module._FPDFBookmark_GetFirstChild(documentIdx, parent);
+    while (bookmark && !visited.has(bookmark) && entries.length < MAX_OUTLINE_ENTRIES) {
+      visited.add(bookmark);
+      const title = readTitle(bookmark);
+      if (title) {
+        entries.push({ title, level, pageIndex: readPageIndex(bookmark) });
+      }
+      if (level < MAX_OUTLINE_DEPTH) {
+        walk(bookmark, level + 1);
+      }
+      bookmark = module._FPDFBookmark_GetNextSibling(documentIdx, bookmark);
+    }
+  };
+  walk(0, 1);
+  return entries;
+};
+
+/**
+ * 加载PDF文档，将pdfium的错误转换为 PdfLoadError；加载失败时释放 library
+ * pdfium 对缺少密码和密码错误返回同一个错误码，根据是否提供了密码区分
+ * @param library pdfium实例
+ * @param data PDF文件数据
+ * @param password 打开密码
+ */
+const loadPdfDocument = async (library: PDFiumLibrary, data: Uint8Array, password?: string): Promise<PDFiumDocument> => {
+  try {
+    return await library.loadDocument(data, password);
+  } catch (error) {
+    library.destroy();
+    const message = (error as Error).message;
+    if (/password/i.test(message)) {
+      throw password
+        ? new PdfLoadError('PDF密码错误', 'INCORRECT_PASSWORD')
+        : new PdfLoadError('PDF已加密，需要提供密码(password)', 'PASSWORD_REQUIRED');
+    }
+    if (/format|corrupt|could not be opened/i.test(message)) {
+      throw new PdfLoadError('PDF文件已损坏或不是有效的PDF格式', 'CORRUPT_FILE');
+    }
+    if (/security/i.test(message)) {
+      throw new PdfLoadError('不支持该PDF的加密方式', 'UNSUPPORTED_SECURITY');
+    }
+    throw new PdfLoadError(`PDF文件加载失败: ${message}`, 'UNKNOWN');
+  }
+};
+
+/**
+ * 获取PDF文档的书签（大纲）
+ * @param pdfData PDF文件数据或路径
+ * @param options 打开选项，加密PDF需要提供密码
+ * @returns 按文档顺序排列的书签，文档没有书签时返回空数组
+ */
+export const getPdfOutline = async (pdfData: Buffer | string, options: PdfOpenOptions = {}): Promise<OutlineEntry[]> => {
+  const data = typeof pdfData === 'string' ? new Uint8Array(await fs.readFile(pdfData)) : new Uint8Array(pdfData);
+
+  const library = await PDFiumLibrary.init();
+
+  const document = await loadPdfDocument(library, data, options.password);
+
+  try {
+    return readOutline(document);
+  } finally {
+    document.destroy();
+    library.destroy();
+  }
+};
+
 /**
  * 获取PDF文档的页数
  * @param pdfData PDF文件数据或路径
+ * @param options 页码选择选项，传入pages时返回选中的页数；加密PDF需要提供密码
  * @returns PDF文档的总页数
  */
-export const getPageCount = async (pdfData: Buffer | string): Promise<number> => {
+export const getPageCount = async (
+  pdfData: Buffer | string,
+  options: PageSelectOptions & PdfOpenOptions = {}
+): Promise<number> => {
   // 如果pdfData是字符串，则当作路径处理
   let data: Uint8Array;
   if (typeof pdfData === 'string') {
@@ -37,28 +216,36 @@ export const getPageCount = async (pdfData: Buffer | string): Promise<number> =>
 
   const library = await PDFiumLibrary.init();
 
-  const document = await library.loadDocument(data);
-
-  const pageCount = document.getPageCount();
+  const document = await loadPdfDocument(library, data, options.password);
 
-  document.destroy();
-  library.destroy();
-
-  // 加载PDF文档并返回页数
-  return pageCount;
+  try {
+    // 加载PDF文档并返回页数
+    return parsePageRange(options.pages, document.getPageCount()).length;
+  } finally {
+    document.destroy();
+    library.destroy();
+  }
 };
 
 
 /**
  * 直接生成PDF文档的所有页面图像，不依赖区域识别
  * @param pdfData PDF文件数据或路径
- * @param outputDir 输出目录
+ * @param outputDir 输出目录，为空时不创建
  * @param scale 缩放比例
- * @returns 生成的图像文件路径数组
+ * @param options 页码选择、文本层提取及打开密码等选项
+ * @returns 生成的图像文件路径数组，index 为原始页码
  */
-export const generateFullPageImages = async (pdfData: Buffer | string, outputDir: string, scale: number = 3): Promise<PageImage[]> => {
+export const generateFullPageImages = async (
+  pdfData: Buffer | string,
+  outputDir: string,
+  scale: number = 3,
+  options: FullPageImageOptions = {}
+): Promise<PageImage[]> => {
   // 确保输出目录存在
-  await fs.ensureDir(outputDir);
+  if (outputDir) {
+    await fs.ensureDir(outputDir);
+  }
 
   // 如果pdfData是字符串，则当作路径处理
   let data: Uint8Array;
@@ -71,33 +258,49 @@ export const generateFullPageImages = async (pdfData: Buffer | string, outputDir
   // 加载PDF文档
   const library = await PDFiumLibrary.init();
 
-  const document = await library.loadDocument(data);
-
-  const numPages = document.getPageCount();
-
-  console.log(`PDF文档共 ${numPages} 页`);
+  const document = await loadPdfDocument(library, data, options.password);
 
   // 存储生成的图像路径
   const pageImages: PageImage[] = [];
 
-  // 处理每一页
-  for (const page of document.pages()) {
-    const pageIndex = page.number + 1;
-    console.log(`处理第 ${pageIndex} 页...`);
+  try {
+    const numPages = document.getPageCount();
+    const selectedPages = parsePageRange(options.pages, numPages);
 
-    // 将PDF页面渲染为PNG图片
-    const image = await page.render({
-      scale: 3, // 3倍缩放（默认72 DPI）
-      render: renderFunction,  // sharp函数，用于将原始位图数据转换为PNG
-    });
+    console.log(`PDF文档共 ${numPages} 页，本次处理 ${selectedPages.length} 页`);
 
-    pageImages.push({ index: pageIndex, data: Buffer.from(image.data) });
+    // 处理选中的每一页
+    for (const pageIndex of selectedPages) {
+      if (options.signal?.aborted) {
+        throw new AbortError('页面渲染已取消');
+      }
+      const page = document.getPage(pageIndex - 1);
+      console.log(`处理第 ${pageIndex} 页...`);
 
-    // 将PNG图片保存到输出文件夹
-    //await fs.writeFile(`output/${page.number}.png`, Buffer.from(image.data));
-  }
+      // 文本层需要在渲染前提取，render 结束后会关闭页面
+      const textLayer = options.extractText ? extractTextLayer(page) : undefined;
 
-  document.destroy();
-  library.destroy();
+      // 将PDF页面渲染为PNG图片
+      const image = await page.render({
+        scale, // 缩放比例，1 对应 72 DPI
+        render: renderFunction,  // sharp函数，用于将原始位图数据转换为PNG
+      });
+
+      const data = Buffer.from(image.data);
+      const tiles = options.tiles
+        ? await splitPageIntoTiles(data, Math.max(image.originalWidth, image.originalHeight), options.tiles)
+        : undefined;
+      if (tiles) {
+        console.log(`第 ${pageIndex} 页切分为 ${tiles[0].rows}x${tiles[0].columns} 个分块`);
+      }
+      pageImages.push({ index: pageIndex, data, textLayer, ...(tiles ? { tiles } : {}) });
+
+      // 将PNG图片保存到输出文件夹
+      //await fs.writeFile(`output/${page.number}.png`, Buffer.from(image.data));
+    }
+  } finally {
+    document.destroy();
+    library.destroy();
+  }
   return pageImages;
 };
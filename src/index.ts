@@ -4,68 +4,433 @@
  */
 import fs from 'fs-extra';
 import path from 'path';
-import { generateFullPageImages, PageImage, getPageCount } from './image-generator';
-import { extractMdFromLLMOutput, adjustMarkdownHeadings, getOldMarkdownHeadings } from './utils';
-import ModelClient from './modelClient';
-import { DefaultPrompt, DefaultTextPrompt } from './const';
-
-interface ParseOptions {
+import sharp from 'sharp';
+import { generateFullPageImages, PageImage, getPageCount, getPdfOutline, PageSelectOptions, PdfOpenOptions, OutlineEntry } from './image-generator';
+import { extractMdFromLLMOutput, getOldMarkdownHeadings } from './utils';
+import ModelClient, { RetryOptions, ModelRequestError, AbortError, ProcessImageResult } from './modelClient';
+import { DefaultPrompt, DefaultTextPrompt, FigurePrompt, TilePrompt } from './const';
+import { createCheckpointKey, loadPageCheckpoint, savePageCheckpoint } from './checkpoint';
+import { extractFigures, remapFigureBoxes, FigureInfo } from './figure-extractor';
+import { ResponseCache, CacheOptions, CacheStats } from './response-cache';
+import { TokenUsage, UsageSummary, PriceTable, createUsageSummary, addUsage, estimateCost } from './usage';
+import { classifyPage, textLayerToMarkdown, buildGroundedPrompt, PageType, TextLayerMode } from './text-layer';
+import { mergePageContentsWithMap, PageContent } from './page-merge';
+import { removeRunningHeadersFooters } from './header-footer';
+import { matchHeadingLevels, applyHeadingLevels, extractHeadings, HeadingMatchReport } from './heading-match';
+import { resolveHeadingLevels, HeadingStrategy } from './heading-rules';
+import { applyOutlineLevels, insertTableOfContents } from './outline';
+import { buildStructuredDocument, StructuredDocument } from './document-model';
+import { chunkDocument, ChunkOptions, DocumentChunk } from './chunker';
+import { insertPageMarkers, buildSourceMap, PageMarkerStyle, SourceMap } from './source-map';
+import { ImageEncodingOptions } from './image-encoder';
+import { mergeTileContents, TileOptions, TileContent } from './page-tiles';
+
+export { registerProvider, getProvider, getProviderNames } from './providers';
+export { getPdfOutline, PdfLoadError } from './image-generator';
+export { AbortError, ModelRequestError } from './modelClient';
+export type { OutlineEntry, PdfLoadErrorCode } from './image-generator';
+export type { FigureInfo } from './figure-extractor';
+export type { HeadingStrategy } from './heading-rules';
+export type { TextLayerMode } from './text-layer';
+export type { StructuredDocument, DocumentPage, DocumentBlock, BlockType } from './document-model';
+export { chunkDocument, chunkMarkdown } from './chunker';
+export type { ChunkOptions, DocumentChunk } from './chunker';
+export type { PageMarkerStyle, SourceMap, PageLineRange, HeadingSource } from './source-map';
+export { encodeImageForModel } from './image-encoder';
+export type { ImageEncodingOptions, ImageLimits, ImageFormat, EncodedImage } from './image-encoder';
+export type { TileOptions } from './page-tiles';
+export type { ProviderAdapter, ProviderRequest, ProviderRequestContext, APIResponse } from './providers';
+
+// PDF输入：文件路径、文件内容或可读流
+export type PdfInput = string | Buffer | Uint8Array | NodeJS.ReadableStream;
+
+export interface ParseOptions {
   apiKey?: string;
   baseUrl?: string;
   model?:string;
   openAiApicompatible?: boolean;
+  // 模型提供商名称，不指定时根据模型名称自动选择
+  provider?: string;
   outputDir?: string;
   prompt?: string;
   textPrompt?: string;
   verbose?: boolean;
+  // 页面渲染的缩放比例，1 对应 72 DPI，默认 3
   scale?: number;
+  // 发送给模型的图像编码方式：格式、质量、灰度以及覆盖提供商默认值的尺寸和大小限制
+  imageEncoding?: ImageEncodingOptions;
+  // 将超大页面（工程图纸、海报、A3表格等）切分为重叠的分块分别识别，再合并为一页，true 使用默认配置
+  tiles?: boolean | TileOptions;
   concurrency?: number;
+  // 页码范围，例如 "1-3,7,10-"，不传则处理全部页面
+  pages?: string;
+  // 加密PDF的打开密码，缺少或错误时抛出 PdfLoadError
+  password?: string;
+  // 是否从 outputDir/pages 中的检查点恢复，跳过同一PDF、模型和提示词下已完成的页面
+  resume?: boolean;
+  // 模型请求失败时的重试策略
+  retry?: RetryOptions;
+  // 页面转换失败时的处理策略：fail 终止整个任务，placeholder 在文档中插入可见的失败提示，skip 跳过该页（默认）
+  onPageError?: PageErrorPolicy;
+  // PDF文本层的使用方式：none 不使用（默认），grounding 作为模型识别参考，hybrid 纯文本页直接使用文本层
+  textLayerMode?: TextLayerMode;
+  // 是否提取页面中的图表和照片，保存到 outputDir/images 并在Markdown中引用
+  extractFigures?: boolean;
+  // 模型响应的磁盘缓存，true 使用默认配置（缓存到 outputDir/cache）
+  cache?: boolean | CacheOptions;
+  // 价格表（每百万token的价格），键为模型名称或前缀，提供后会估算费用
+  pricing?: PriceTable;
+  // 标题层级的调整方式：llm 由模型调整（默认），rules 根据编号规则推断，hybrid 先用规则、没有编号的标题再交给模型，none 不调整
+  headingStrategy?: HeadingStrategy;
+  // PDF有书签时是否以书签确定标题层级（此时不再调用模型调整标题），默认开启；只在 headingStrategy 为 llm 时生效，
+  // 书签与转换结果中的标题匹配得太少时（例如书签只有封面、前言）仍使用模型调整
+  useOutline?: boolean;
+  // 是否在文档开头生成带锚点的目录，可指定目录包含的最深层级（默认3级）
+  toc?: boolean | { maxLevel?: number };
+  // 是否同时生成结构化文档（页面、块、标题层级和来源页码），保存为 <name>.json 并在结果中返回
+  outputJson?: boolean;
+  // 是否按标题结构切分为适合向量检索的块，保存为 <name>.chunks.jsonl 并在结果中返回
+  chunks?: boolean | ChunkOptions;
+  // 是否写入文件，为 false 时不创建任何目录和文件（检查点、图片、Markdown等），所有结果只在内存中返回，提取的图片数据通过 figures[].data 返回
+  writeOutput?: boolean;
+  // 输入为Buffer或流时使用的文件名，用于输出文件命名和来源信息，默认 document.pdf
+  fileName?: string;
+  // 页面之间的页码标记：none 不插入（默认），comment 插入 <!-- page: N -->，anchor 插入 <a id="page-N"></a>
+  pageMarkers?: PageMarkerStyle;
+  // 是否删除在多页重复出现的页眉、页脚和页码，默认开启
+  removeHeadersFooters?: boolean;
+  // 是否合并被分页截断的段落和表格，默认开启
+  mergePages?: boolean;
+  // 取消信号，触发后停止处理剩余页面、中止进行中的模型请求，parsePdf 以 AbortError 结束
+  signal?: AbortSignal;
+  // 整个任务的超时时间（毫秒），超时后与 signal 触发时的处理相同
+  timeout?: number;
+  // 单次模型请求的超时时间（毫秒），超时的请求按重试策略重试，默认300000
+  requestTimeout?: number;
   onProgress?: (progress: ProgressInfo) => void;
 }
 
-interface ProgressInfo {
+export type PageErrorPolicy = 'fail' | 'placeholder' | 'skip';
+
+export interface ProgressInfo {
+  // 已完成（含失败）的页数
   current: number;
   total: number;
+  // 转换失败的页数
+  failed: number;
   taskStatus: 'starting' | 'running' | 'finished';
+  // 本次更新对应的页面状态
+  page?: PageStatus;
+  // 截至目前的累计用量
+  usage: UsageSummary;
 }
 
-interface PageContent {
+export interface PageStatus {
   pageIndex: number;
+  success: boolean;
+  error?: string;
+  // 模型请求次数（含重试），从检查点恢复的页面为0
+  attempts: number;
+  // 处理耗时（毫秒）
+  duration: number;
+  resumed?: boolean;
+  // 根据文本层判断的页面类型，未启用文本层时为空
+  pageType?: PageType;
+  // 是否直接使用文本层内容而未调用模型
+  fromTextLayer?: boolean;
+  // 是否命中模型响应缓存
+  cached?: boolean;
+  // 本页的token用量
+  usage?: TokenUsage;
+  // 页面切分的分块数，未分块时为空
+  tiles?: number;
+}
+
+export interface ParseResult {
   content: string;
+  // 标题层级调整后的最终内容，与写入文件的内容一致
+  adjustedContent: string;
+  // Markdown文件路径，writeOutput 为 false 时为空
+  mdFilePath?: string;
+  // 实际处理的原始页码
+  pageNumbers: number[];
+  // 从检查点恢复、未重新调用模型的页码
+  resumedPages: number[];
+  // 每一页的处理状态，按页码排序
+  pageStatuses: PageStatus[];
+  // 转换失败的页码
+  failedPages: number[];
+  // 提取到的图片
+  figures: FigureInfo[];
+  // 模型响应缓存的命中统计，未启用缓存时为空
+  cacheStats?: CacheStats;
+  // 全部模型调用（含标题调整）的累计用量
+  usage: UsageSummary;
+  // 标题层级调整的匹配情况，包括未能对应的标题
+  headingReport: HeadingMatchReport;
+  // PDF的书签，没有书签或未启用 useOutline 时为空数组
+  outline: OutlineEntry[];
+  // 结构化文档及其保存路径，仅在 outputJson 开启时返回
+  document?: StructuredDocument;
+  jsonFilePath?: string;
+  // 分块结果及其保存路径，仅在 chunks 开启时返回
+  chunks?: DocumentChunk[];
+  chunksFilePath?: string;
+  // adjustedContent 中每页的行范围和每个标题所在的原始页码
+  sourceMap: SourceMap;
 }
 
-interface ParseResult {
+// 流式输出的单页内容
+export interface StreamPage {
+  pageIndex: number;
   content: string;
-  mdFilePath: string;
 }
 
+// 流式解析结果：按页码顺序异步迭代每页内容，result 在标题调整和文件保存完成后返回完整结果
+export interface ParsePdfStream extends AsyncIterable<StreamPage> {
+  result: Promise<ParseResult>;
+}
+
+// 解析流程的内部钩子，供流式接口获取页面顺序和每页的完成情况
+interface ParseHooks {
+  onStart?: (pageNumbers: number[]) => void;
+  // content 为 null 表示该页失败且被跳过
+  onPageReady?: (pageIndex: number, content: string | null) => void;
+}
+
+// 书签中至少有该比例的标题能与文档标题对应时，才以书签为准确定标题层级
+const MIN_OUTLINE_MATCH_RATIO = 0.3;
+
 /**
  * 将PDF文件解析为Markdown
+ * @param input PDF文件路径、文件内容或可读流
+ * @param options 解析选项
+ */
+export const parsePdf = async (input: PdfInput, options: ParseOptions = {}): Promise<ParseResult> => {
+  return runParsePdf(input, options);
+};
+
+/**
+ * 流式解析PDF，每页就绪后按页码顺序输出，适合需要尽快展示结果的场景
+ * @example
+ * const stream = parsePdfStream('a.pdf', options);
+ * for await (const page of stream) { render(page.pageIndex, page.content); }
+ * const { adjustedContent } = await stream.result;
+ */
+export const parsePdfStream = (input: PdfInput, options: ParseOptions = {}): ParsePdfStream => {
+  const queue: StreamPage[] = [];
+  const ready = new Map<number, string | null>();
+  let pageNumbers: number[] = [];
+  let position = 0;
+  let done = false;
+  let failure: unknown;
+  let wake: (() => void) | null = null;
+
+  // 将已就绪且连续的页面按顺序放入队列，并唤醒等待中的迭代器
+  const flush = () => {
+    while (position < pageNumbers.length && ready.has(pageNumbers[position])) {
+      const pageIndex = pageNumbers[position++];
+      const content = ready.get(pageIndex)!;
+      ready.delete(pageIndex);
+      if (content !== null) {
+        queue.push({ pageIndex, content });
+      }
+    }
+    wake?.();
+    wake = null;
+  };
+
+  const result = runParsePdf(input, options, {
+    onStart: (numbers) => {
+      pageNumbers = numbers;
+      flush();
+    },
+    onPageReady: (pageIndex, content) => {
+      ready.set(pageIndex, content);
+      flush();
+    },
+  });
+  result.then(
+    () => {
+      done = true;
+      flush();
+    },
+    (error) => {
+      failure = error;
+      done = true;
+      flush();
+    }
+  );
+
+  async function* iterate(): AsyncGenerator<StreamPage> {
+    while (true) {
+      if (queue.length > 0) {
+        yield queue.shift()!;
+      } else if (done) {
+        if (failure) {
+          throw failure;
+        }
+        return;
+      } else {
+        await new Promise<void>((resolve) => {
+          wake = resolve;
+        });
+      }
+    }
+  }
+
+  return {
+    result,
+    [Symbol.asyncIterator]: iterate,
+  };
+};
+
+/**
+ * 读取PDF输入的全部内容
+ * @param input PDF文件路径、文件内容或可读流
  */
-export const parsePdf = async (pdfPath: string, options: ParseOptions = {}): Promise<ParseResult> => {
+const readPdfInput = async (input: PdfInput): Promise<Buffer> => {
+  if (typeof input === 'string') {
+    return fs.readFile(input);
+  }
+  if (input instanceof Uint8Array) {
+    return Buffer.isBuffer(input) ? input : Buffer.from(input);
+  }
+  const chunks: Buffer[] = [];
+  for await (const chunk of input) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const runParsePdf = async (input: PdfInput, options: ParseOptions, hooks: ParseHooks = {}): Promise<ParseResult> => {
+
+  const { outputDir = './output', apiKey ="", baseUrl, openAiApicompatible = false, provider, model ="",
+    prompt = DefaultPrompt, textPrompt = DefaultTextPrompt, verbose = false, scale = 3, concurrency = 2, pages, password, resume = false, retry,
+    imageEncoding, tiles = false, onPageError = 'skip', textLayerMode = 'none',
+    extractFigures: shouldExtractFigures = false, cache, pricing,
+    removeHeadersFooters = true, mergePages = true, headingStrategy = 'llm', useOutline = true,
+    toc = false, outputJson = false, chunks: chunkOptions,
+    pageMarkers = 'none', writeOutput = true, fileName = 'document.pdf', signal: externalSignal, timeout, requestTimeout,
+    onProgress } = options;
 
-  const { outputDir = './output', apiKey ="", baseUrl, openAiApicompatible = false, model ="",
-    prompt = DefaultPrompt, textPrompt = DefaultTextPrompt, verbose = false, scale = 3, concurrency = 2, onProgress } = options;
+  // 输出文件以源文件名命名
+  const sourceName = typeof input === 'string' ? path.basename(input) : fileName;
+  const baseName = path.basename(sourceName, '.pdf');
 
   // 确保输出目录存在
-  await fs.ensureDir(outputDir);
+  if (writeOutput) {
+    await fs.ensureDir(outputDir);
+  }
 
-  console.log('开始解析PDF文件(全页模式):', pdfPath);
+  console.log('开始解析PDF文件(全页模式):', typeof input === 'string' ? input : sourceName);
+
+  // 调用方的取消信号和整体超时都通过内部的 controller 传递给渲染和模型请求
+  const controller = new AbortController();
+  const signal = controller.signal;
+  let timedOut = false;
+  const onExternalAbort = () => controller.abort();
+  if (externalSignal?.aborted) {
+    controller.abort();
+  } else {
+    externalSignal?.addEventListener('abort', onExternalAbort, { once: true });
+  }
+  const jobTimer = timeout && timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : undefined;
+  const abortError = () => new AbortError(timedOut ? `解析超时(${timeout}ms)` : '解析已取消');
+  const throwIfAborted = () => {
+    if (signal.aborted) {
+      throw abortError();
+    }
+  };
 
   try {
+    throwIfAborted();
     // 第一步：生成全页图像
     console.log('生成全页图像...');
     const imageOutputDir = path.join(outputDir, 'pages');
-    await fs.ensureDir(imageOutputDir);
+    if (writeOutput) {
+      await fs.ensureDir(imageOutputDir);
+    }
+
+    const pdfData = await readPdfInput(input);
+    const imageFiles = await generateFullPageImages(pdfData, writeOutput ? imageOutputDir : '', scale, {
+      pages,
+      password,
+      extractText: textLayerMode !== 'none',
+      signal,
+      tiles: tiles === true ? {} : tiles || undefined,
+    }).catch((error) => {
+      throw error instanceof AbortError ? abortError() : error;
+    });
+
+    // 读取PDF书签，失败时不影响转换
+    let outline: OutlineEntry[] = [];
+    if (useOutline) {
+      try {
+        outline = await getPdfOutline(pdfData, { password });
+      } catch (error) {
+        console.warn('读取PDF书签失败:', (error as Error).message);
+      }
+    }
+
+    // 每页的模型输出都会以检查点形式保存在 pages 目录下，resume 时直接复用
+    const checkpointKey = createCheckpointKey(pdfData, model, prompt, [
+      textLayerMode,
+      `figures:${shouldExtractFigures}`,
+      // 分块识别的结果与整页识别不同，只在启用时加入，不影响已有的检查点
+      ...(tiles ? [`tiles:${JSON.stringify(tiles)}`] : []),
+    ]);
+    const pageContents: PageContent[] = [];
+    const pageStatuses: PageStatus[] = [];
+    const resumedPages: number[] = [];
+    const figures: FigureInfo[] = [];
+    const usage = createUsageSummary();
+    // 返回累计用量的快照，并附上估算费用
+    const getUsage = (): UsageSummary => ({ ...usage, estimatedCost: estimateCost(usage, model, pricing) });
+    const imagesDir = path.join(outputDir, 'images');
+    hooks.onStart?.(imageFiles.map((item) => item.index));
+
+    // 记录页面内容，需要时根据模型标注的区域裁剪图片并替换为Markdown图片链接
+    const addPageContent = async (item: PageImage, pageContent: string) => {
+      let content = pageContent;
+      if (shouldExtractFigures) {
+        const result = await extractFigures(content, item.data, item.index, writeOutput ? imagesDir : null);
+        content = result.content;
+        figures.push(...result.figures);
+      }
+      pageContents.push({ pageIndex: item.index, content });
+      hooks.onPageReady?.(item.index, content);
+    };
 
-    const imageFiles = await generateFullPageImages(pdfPath, imageOutputDir, scale);
+    if (resume && !writeOutput) {
+      console.warn('writeOutput 为 false 时不保存检查点，忽略 resume');
+    }
+    if (resume && writeOutput) {
+      for (const item of imageFiles) {
+        const checkpoint = await loadPageCheckpoint(imageOutputDir, baseName, item.index, checkpointKey);
+        if (checkpoint) {
+          await addPageContent(item, checkpoint.content);
+          resumedPages.push(item.index);
+          pageStatuses.push({ pageIndex: item.index, success: true, attempts: 0, duration: 0, resumed: true });
+        }
+      }
+      console.log(`从检查点恢复了 ${resumedPages.length} 页`);
+    }
+    const pendingImages = imageFiles.filter((item) => !resumedPages.includes(item.index));
 
     //先把总页数传递回调用方法
     if (onProgress) {
       onProgress({
-        current: 0,
+        current: pageStatuses.length,
         total: imageFiles.length,
+        failed: 0,
         taskStatus: 'starting',
+        usage: getUsage(),
       });
     }
 
@@ -73,108 +438,344 @@ export const parsePdf = async (pdfPath: string, options: ParseOptions = {}): Pro
     console.log('处理全页图像...');
 
     // 创建模型客户端
+    let cacheOptions = cache === true ? {} : cache || undefined;
+    // 不写入文件时默认的缓存目录也不能使用，必须显式指定 cache.dir
+    if (cacheOptions && !writeOutput && !cacheOptions.dir) {
+      console.warn('writeOutput 为 false 且未指定 cache.dir，不启用响应缓存');
+      cacheOptions = undefined;
+    }
+    const responseCache = cacheOptions
+      ? new ResponseCache({ ...cacheOptions, dir: cacheOptions.dir || path.join(outputDir, 'cache') })
+      : undefined;
     const modelClient = new ModelClient({
       apiKey,
       baseUrl,
       model,
-      openAiApicompatible
+      openAiApicompatible,
+      provider,
+      retry,
+      cache: responseCache,
+      timeout: requestTimeout,
+      imageEncoding
     });
 
-    const pageContents: PageContent[] = [];
+    // 记录页面状态，并将进度（含失败信息）通知调用者
+    const reportPage = (status: PageStatus) => {
+      pageStatuses.push(status);
+      if (onProgress) {
+        onProgress({
+          current: pageStatuses.length,
+          total: imageFiles.length,
+          failed: pageStatuses.filter((page) => !page.success).length,
+          taskStatus: 'running',
+          page: status,
+          usage: getUsage(),
+        });
+      }
+    };
+
+    // 逐个识别页面的分块并合并，返回的统计信息为各分块之和
+    const processTiles = async (item: PageImage, basePrompt: string): Promise<ProcessImageResult> => {
+      const { width = 0, height = 0 } = await sharp(item.data).metadata();
+      const results: TileContent[] = [];
+      const total: ProcessImageResult = { content: '', attempts: 0, cached: true };
+      for (const tile of item.tiles!) {
+        const tilePrompt = basePrompt + TilePrompt
+          .replace('{rows}', String(tile.rows))
+          .replace('{columns}', String(tile.columns))
+          .replace('{row}', String(tile.row + 1))
+          .replace('{column}', String(tile.column + 1));
+        const result = await modelClient.processImageWithStats(tile.data, tilePrompt, { signal });
+        total.attempts += result.attempts;
+        total.cached = total.cached && !!result.cached;
+        if (result.usage) {
+          total.usage = {
+            inputTokens: (total.usage?.inputTokens || 0) + result.usage.inputTokens,
+            outputTokens: (total.usage?.outputTokens || 0) + result.usage.outputTokens,
+          };
+        }
+        // 分块中标注的图片坐标换算为整页坐标
+        const content = shouldExtractFigures ? remapFigureBoxes(result.content, tile.region, width, height) : result.content;
+        results.push({ row: tile.row, column: tile.column, content });
+      }
+      return { ...total, content: mergeTileContents(results) };
+    };
+
     const processImages = async (item: PageImage) => {
-      console.log(`处理页面 ${item.index}/${imageFiles.length}`);
+      console.log(`处理第 ${item.index} 页(共选中 ${imageFiles.length} 页)`);
+      const startTime = Date.now();
+      const pageType = item.textLayer ? classifyPage(item.textLayer) : undefined;
+
+      // hybrid 模式下纯文本页直接使用文本层，不调用模型
+      if (textLayerMode === 'hybrid' && pageType === 'simple') {
+        const pageContent = textLayerToMarkdown(item.textLayer!.text);
+        await addPageContent(item, pageContent);
+        reportPage({ pageIndex: item.index, success: true, attempts: 0, duration: Date.now() - startTime, pageType, fromTextLayer: true });
+        return { success: true, item, data: pageContent };
+      }
+
       try {
         // 处理图像 - 确保传入有效的prompt
         const defaultPrompt = '请将图像中的所有文本内容转换为Markdown格式，包括标题、段落、列表和表格等。';
-        const pageContent = await modelClient.processImage(item.data, prompt || defaultPrompt);
+        const basePrompt = (prompt || defaultPrompt) + (shouldExtractFigures ? FigurePrompt : '');
+        const pagePrompt = pageType && pageType !== 'scanned'
+          ? buildGroundedPrompt(basePrompt, item.textLayer!.text)
+          : basePrompt;
+        // 文本层包含整页内容，分块识别时不作为参考，以免模型输出分块之外的文字
+        const { content: pageContent, attempts, cached, usage: pageUsage } = item.tiles
+          ? await processTiles(item, basePrompt)
+          : await modelClient.processImageWithStats(item.data, pagePrompt, { signal });
+        addUsage(usage, pageUsage, attempts);
+        throwIfAborted();
+        if (writeOutput) {
+          await savePageCheckpoint(imageOutputDir, baseName, item.index, checkpointKey, pageContent);
+        }
 
         // 添加页面内容
-        pageContents.push({
-          pageIndex: item.index,
-          content: pageContent,
-        });
+        await addPageContent(item, pageContent);
 
         // 处理完成后，更新调用者的信息
-        if (onProgress) {
-          onProgress({
-            current: pageContents.length,
-            total: imageFiles.length,
-            taskStatus: 'running',
-          });
-        }
+        reportPage({
+          pageIndex: item.index,
+          success: true,
+          attempts,
+          duration: Date.now() - startTime,
+          pageType,
+          cached,
+          usage: pageUsage,
+          ...(item.tiles ? { tiles: item.tiles.length } : {}),
+        });
         return { success: true, item, data: pageContent };
       } catch (error) {
-        console.error('Markdown 转换失败:', error);
-        return { success: false, item, error: (error as Error).message };
+        // 任务被取消时不记录为页面失败，直接结束
+        if (signal.aborted) {
+          throw abortError();
+        }
+        const message = (error as Error).message;
+        console.error(`第 ${item.index} 页 Markdown 转换失败:`, error);
+        addUsage(usage, undefined, (error as ModelRequestError).attempts ?? 1);
+        reportPage({
+          pageIndex: item.index,
+          success: false,
+          error: message,
+          attempts: (error as ModelRequestError).attempts ?? 1,
+          duration: Date.now() - startTime,
+          pageType,
+        });
+
+        if (onPageError === 'fail') {
+          throw new Error(`第 ${item.index} 页转换失败，任务终止: ${message}`);
+        }
+        if (onPageError === 'placeholder') {
+          await addPageContent(item, `> ⚠️ 第 ${item.index} 页转换失败: ${message.split('\n')[0]}\n`);
+        } else {
+          hooks.onPageReady?.(item.index, null);
+        }
+        return { success: false, item, error: message };
       }
     };
 
     // 并行处理所有问题，最多同时处理concurrency个
-    await processInParallel(imageFiles, processImages, concurrency);
+    await processInParallel(pendingImages, processImages, concurrency, signal);
+    throwIfAborted();
 
     //并行处理生成结果是乱序的，根据pageIndex进行排序再输出Markdown
     pageContents.sort((a, b) => a.pageIndex - b.pageIndex);
+    pageStatuses.sort((a, b) => a.pageIndex - b.pageIndex);
+    figures.sort((a, b) => a.pageIndex - b.pageIndex || a.figureIndex - b.figureIndex);
+    if (shouldExtractFigures) {
+      console.log(`共提取 ${figures.length} 张图片`);
+    }
+    const failedPages = pageStatuses.filter((page) => !page.success).map((page) => page.pageIndex);
+    if (failedPages.length > 0) {
+      console.warn(`以下页面转换失败: ${failedPages.join(', ')}`);
+    }
 
     // 第三步：生成Markdown文件
     console.log('生成Markdown文档...');
 
-    // 生成Markdown内容
-    let content = '';
-    for (const page of pageContents) {
-      content += page.content + '\n';
+    // 删除重复的页眉页脚，启用文本层时用文本层首尾的行辅助判断
+    let cleanedPages = pageContents;
+    if (removeHeadersFooters) {
+      const textLayers: Record<number, string> = {};
+      for (const item of imageFiles) {
+        if (item.textLayer) {
+          textLayers[item.index] = item.textLayer.text;
+        }
+      }
+      const { pages: strippedPages, removed } = removeRunningHeadersFooters(pageContents, { textLayers });
+      if (removed.length > 0) {
+        console.log(`已删除页眉页脚: ${removed.join(' | ')}`);
+      }
+      cleanedPages = strippedPages;
     }
 
-    console.log('正在重新调整目录...');
+    // 生成Markdown内容，相邻页之间被截断的段落和表格会重新接上
+    const { content, pageStarts } = mergePageContentsWithMap(cleanedPages, mergePages);
 
-    // 提取转换后的标题
-    const title = await getOldMarkdownHeadings(content);
+    console.log('正在重新调整目录...');
 
-    //使用大模型重新调整目录结构
-    const defaultPrompt = '请将图像中的所有文本内容转换为Markdown格式，包括标题、段落、列表和表格等。';
-    const convertedTitleLLMResult = await modelClient.processImage(null, textPrompt + JSON.stringify(title) || defaultPrompt);
-    const convertedTitle = await extractMdFromLLMOutput(convertedTitleLLMResult);
+    //使用大模型重新调整目录结构，返回模型输出的标题结构
+    const requestHeadingLevels = async (markdown: string): Promise<string> => {
+      // 提取转换后的标题
+      const title = await getOldMarkdownHeadings(markdown);
+      const defaultPrompt = '请将图像中的所有文本内容转换为Markdown格式，包括标题、段落、列表和表格等。';
+      const titleResult = await modelClient.processImageWithStats(null, textPrompt + JSON.stringify(title) || defaultPrompt, { signal });
+      addUsage(usage, titleResult.usage, titleResult.attempts);
+      const convertedTitle = await extractMdFromLLMOutput(titleResult.content);
+      return convertedTitle || '';
+    };
 
     //根据调整后的结果重新生成md文件
-    const convertContent = await adjustMarkdownHeadings(content, convertedTitle || '');
+    let convertContent = content;
+    let headingReport: HeadingMatchReport = { matched: 0, unmapped: [], unmatched: [] };
+    // 只使用指向已转换页面的书签，避免被跳过页面的书签匹配到相似的编号标题
+    const renderedPages = new Set(imageFiles.map((item) => item.index));
+    const pageOutline = outline.filter((entry) => entry.pageIndex === undefined || renderedPages.has(entry.pageIndex));
+    // 显式指定的 rules、hybrid 优先于书签；书签能对应上足够多的标题时才代替模型调整
+    const outlineResult = pageOutline.length > 0 && headingStrategy === 'llm' ? applyOutlineLevels(content, pageOutline) : undefined;
+    const outlineMatchRatio = outlineResult
+      ? outlineResult.report.matched / Math.max(1, Math.min(pageOutline.length, extractHeadings(content).length))
+      : 0;
+    if (outlineResult && outlineMatchRatio < MIN_OUTLINE_MATCH_RATIO) {
+      console.warn(`PDF书签与文档标题匹配过少(${outlineResult.report.matched} 项)，改用模型调整标题层级`);
+    }
+    if (outlineResult && outlineMatchRatio >= MIN_OUTLINE_MATCH_RATIO) {
+      console.log(`使用PDF书签调整标题层级(共 ${pageOutline.length} 项)`);
+      ({ content: convertContent, report: headingReport } = outlineResult);
+    } else if (headingStrategy === 'llm') {
+      ({ content: convertContent, report: headingReport } = matchHeadingLevels(content, await requestHeadingLevels(content)));
+    } else if (headingStrategy === 'rules' || headingStrategy === 'hybrid') {
+      const rules = resolveHeadingLevels(extractHeadings(content));
+      if (headingStrategy === 'rules' || rules.unresolved.length === 0) {
+        // 没有编号的标题不高于一级章节，其余保持原层级
+        const levels = new Map(rules.levels);
+        for (const heading of rules.unresolved) {
+          levels.set(heading.line, Math.max(rules.baseLevel, heading.level));
+        }
+        convertContent = applyHeadingLevels(content, levels);
+        headingReport = { matched: rules.levels.size, unmapped: rules.unresolved, unmatched: [] };
+      } else {
+        // 先应用规则确定的层级，再由模型调整没有编号的标题，有编号的标题仍以规则为准
+        const preAdjusted = applyHeadingLevels(content, rules.levels);
+        const matched = matchHeadingLevels(preAdjusted, await requestHeadingLevels(preAdjusted));
+        convertContent = applyHeadingLevels(matched.content, rules.levels);
+        headingReport = {
+          ...matched.report,
+          unmapped: matched.report.unmapped.filter((heading) => !rules.levels.has(heading.line)),
+        };
+      }
+    }
+    if (headingReport.unmapped.length > 0) {
+      console.warn(`以下 ${headingReport.unmapped.length} 个标题未能确定层级，保留原层级: ${headingReport.unmapped.map((heading) => heading.text).join(' | ')}`);
+    }
+
+    // 结构化文档和分块基于插入目录前的内容，保证行号与页码的对应关系
+    const structuredDocument = outputJson || chunkOptions
+      ? buildStructuredDocument(convertContent, pageStarts, sourceName)
+      : undefined;
+    const chunks = chunkOptions
+      ? chunkDocument(structuredDocument!, chunkOptions === true ? {} : chunkOptions)
+      : undefined;
+
+    // 在页面之间插入页码标记
+    const marked = insertPageMarkers(convertContent, pageStarts, pageMarkers);
+    convertContent = marked.content;
+    let finalPageStarts = marked.pageStarts;
+
+    if (toc) {
+      const lineCount = convertContent.split('\n').length;
+      convertContent = insertTableOfContents(convertContent, toc === true ? undefined : toc.maxLevel);
+      // 目录插入在开头，之后各页的行号整体后移
+      const shift = convertContent.split('\n').length - lineCount;
+      finalPageStarts = finalPageStarts.map((start) => ({ ...start, line: start.line + shift }));
+    }
+    const sourceMap = buildSourceMap(convertContent, finalPageStarts);
 
     console.log('目录调整完成...');
 
-    // 第四步：保存Markdown文件
-    const mdFilePath = path.join(outputDir, path.basename(pdfPath, '.pdf') + '.md');
-    await fs.writeFile(mdFilePath, convertContent);
-    console.log('Markdown文件已保存至:', mdFilePath);
+    // 第四步：保存Markdown文件，writeOutput 为 false 时只在内存中返回
+    let mdFilePath: string | undefined;
+    let jsonFilePath: string | undefined;
+    let chunksFilePath: string | undefined;
+    if (writeOutput) {
+      mdFilePath = path.join(outputDir, baseName + '.md');
+      await fs.writeFile(mdFilePath, convertContent);
+      console.log('Markdown文件已保存至:', mdFilePath);
+      if (outputJson && structuredDocument) {
+        jsonFilePath = path.join(outputDir, baseName + '.json');
+        await fs.writeJson(jsonFilePath, structuredDocument, { spaces: 2 });
+        console.log('结构化文档已保存至:', jsonFilePath);
+      }
+      if (chunks) {
+        chunksFilePath = path.join(outputDir, baseName + '.chunks.jsonl');
+        await fs.writeFile(chunksFilePath, chunks.map((chunk) => JSON.stringify(chunk) + '\n').join(''));
+        console.log(`分块结果已保存至: ${chunksFilePath}(共 ${chunks.length} 块)`);
+      }
+    }
 
     // 将任务执行结束传递回调用方法
     if (onProgress) {
       onProgress({
         current: imageFiles.length,
         total: imageFiles.length,
+        failed: failedPages.length,
         taskStatus: 'finished',
+        usage: getUsage(),
       });
     }
 
     return {
       content,
+      adjustedContent: convertContent,
       mdFilePath,
+      pageNumbers: imageFiles.map((item) => item.index),
+      resumedPages,
+      pageStatuses,
+      failedPages,
+      figures,
+      cacheStats: responseCache?.getStats(),
+      usage: getUsage(),
+      headingReport,
+      outline,
+      document: outputJson ? structuredDocument : undefined,
+      jsonFilePath,
+      chunks,
+      chunksFilePath,
+      sourceMap,
     };
   } catch (error) {
+    if (signal.aborted) {
+      console.warn(abortError().message);
+      throw abortError();
+    }
     console.error('PDF解析过程中发生错误:', error);
+    // 任务失败（例如 onPageError 为 fail）时取消仍在进行中的页面，避免继续计费、写检查点和回调进度
+    controller.abort();
     throw error;
+  } finally {
+    clearTimeout(jobTimer);
+    externalSignal?.removeEventListener('abort', onExternalAbort);
   }
 };
 
 // 定义并行处理的辅助函数类型
 type ProcessFunction<T, R> = (item: T) => Promise<R>;
 
-// 并行处理数组的辅助函数，限制并发数
-const processInParallel = async <T, R>(items: T[], processFunction: ProcessFunction<T, R>, concurrencyLimit: number): Promise<R[]> => {
+// 并行处理数组的辅助函数，限制并发数，signal 触发后不再启动新任务
+const processInParallel = async <T, R>(
+  items: T[],
+  processFunction: ProcessFunction<T, R>,
+  concurrencyLimit: number,
+  signal?: AbortSignal
+): Promise<R[]> => {
   const results: Promise<R>[] = [];
   const inProgress = new Set<Promise<R>>();
   const queue = [...items];
 
-  while (queue.length > 0 || inProgress.size > 0) {
+  while ((queue.length > 0 && !signal?.aborted) || inProgress.size > 0) {
     // 如果有空闲槽位且队列中还有任务，启动新任务
-    while (inProgress.size < concurrencyLimit && queue.length > 0) {
+    while (inProgress.size < concurrencyLimit && queue.length > 0 && !signal?.aborted) {
       const item = queue.shift()!;
       const promise = processFunction(item).then((result) => {
         inProgress.delete(promise);
@@ -196,9 +797,10 @@ const processInParallel = async <T, R>(items: T[], processFunction: ProcessFunct
 /**
  * 获取PDF文档的页数
  * @param pdfData PDF文件数据或路径
+ * @param options 页码选择选项，传入pages时返回选中的页数；加密PDF需要提供密码
  * @returns PDF文档的总页数
  */
-export const getPageNum = async (pdfData: Buffer | string): Promise<number> => {
-  const pdfPageCount = await getPageCount(pdfData);
+export const getPageNum = async (pdfData: Buffer | string, options: PageSelectOptions & PdfOpenOptions = {}): Promise<number> => {
+  const pdfPageCount = await getPageCount(pdfData, options);
   return pdfPageCount ;
 }
\ No newline at end of file
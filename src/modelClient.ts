@@ -4,107 +4,138 @@
 
 import https from 'https';
 import http from 'http';
+import { APIResponse, resolveProvider } from './providers';
+import { ResponseCache } from './response-cache';
+import { TokenUsage } from './usage';
+import { encodeImageForModel, ImageEncodingOptions } from './image-encoder';
 
 // 默认角色提示词（中文版）
 const DEFAULT_ROLE_PROMPT = `你是一个PDF文档解析器，使用markdown和latex语法输出图片的内容。`;
 
+// 网络层可重试的错误码（连接重置、超时、DNS临时失败等）
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ESOCKETTIMEDOUT'];
+
+// 可重试的HTTP状态码，其余4xx（如400、401、403）视为致命错误
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+export interface RetryOptions {
+  // 最大重试次数（不含首次请求），默认3
+  maxRetries?: number;
+  // 首次重试的基础等待时间（毫秒），之后按指数增长，默认1000
+  baseDelay?: number;
+  // 指数退避单次等待的上限（毫秒），默认30000，不限制服务端要求的 Retry-After
+  maxDelay?: number;
+  // 服务端要求的 Retry-After 的上限（毫秒），默认600000（10分钟），超过时不再重试
+  maxRetryAfter?: number;
+}
+
 interface ModelConfig {
   model?: string;
   modelConfig?: Record<string, any>;
   apiKey?: string;
   baseUrl?: string;
   openAiApicompatible?: boolean;
+  // 模型提供商名称，例如 openai、claude、gemini、doubao 或通过 registerProvider 注册的自定义提供商，不指定时根据模型名称自动选择
+  provider?: string;
+  retry?: RetryOptions;
+  // 模型响应缓存，设置后相同的请求直接返回缓存结果
+  cache?: ResponseCache;
+  // 单次HTTP请求的超时时间（毫秒），超时后按可重试错误处理，默认300000
+  timeout?: number;
+  // 发送图像前的编码选项，图像会按提供商的限制缩放和压缩
+  imageEncoding?: ImageEncodingOptions;
 }
 
-interface ProcessImageOptions {
-  model?: string;
-  rolePrompt?: string;
-  maxTokens?: number;
-  endpoint?: string;
-}
-
-interface MessageContent {
-  type: string;
-  text?: string;
-  image_url?: {
-    url: string;
-  };
-  source?: {
-    type: string;
-    media_type: string;
-    data: string;
-  };
-  inline_data?: {
-    mime_type: string;
-    data: string;
-  };
-  [key: string]: any; // 允许其他属性
-}
-
-interface OpenAIRequest {
-  model: string;
-  messages: Array<{
-    role: string;
-    content: string | MessageContent[];
-  }>;
-  max_tokens: number;
-}
-
-interface ClaudeRequest {
-  model: string;
-  system: string;
-  max_tokens: number;
-  messages: Array<{
-    role: string;
-    content: MessageContent[];
-  }>;
+/**
+ * 模型请求错误，区分可重试错误（超时、5xx、连接重置、限流）和致命错误（401、400等）
+ */
+export class ModelRequestError extends Error {
+  statusCode?: number;
+  code?: string;
+  retryable: boolean;
+  // 服务端通过 Retry-After 要求的等待时间（毫秒）
+  retryAfter?: number;
+  // 实际发起的请求次数
+  attempts = 1;
+
+  constructor(message: string, options: { statusCode?: number; code?: string; retryable: boolean; retryAfter?: number }) {
+    super(message);
+    this.name = 'ModelRequestError';
+    this.statusCode = options.statusCode;
+    this.code = options.code;
+    this.retryable = options.retryable;
+    this.retryAfter = options.retryAfter;
+  }
 }
 
-interface GeminiRequestPart {
-  text?: string;
-  inline_data?: {
-    mime_type: string;
-    data: string;
-  };
+/**
+ * 操作被 AbortSignal 取消或整体超时时抛出的错误，不会重试
+ */
+export class AbortError extends Error {
+  constructor(message: string = '操作已取消') {
+    super(message);
+    this.name = 'AbortError';
+  }
 }
 
-interface GeminiRequest {
-  contents: Array<{
-    parts: Array<GeminiRequestPart>;
-  }>;
-  generation_config: {
-    max_output_tokens: number;
+/**
+ * 解析 Retry-After 响应头，支持秒数和HTTP日期两种格式
+ * @returns 等待时间（毫秒），无法解析时返回 undefined
+ */
+const parseRetryAfter = (header: string | string[] | undefined): number | undefined => {
+  const value = Array.isArray(header) ? header[0] : header;
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return undefined;
+};
+
+// 等待指定时间，signal 触发时提前以 AbortError 结束
+const sleep = (ms: number, signal?: AbortSignal): Promise<void> => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new AbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new AbortError());
   };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// 单次模型调用的统计信息
+export interface RequestStats {
+  // 实际发起的HTTP请求次数（含重试）
+  attempts: number;
 }
 
-interface DoubaoRequest {
-  model: string;
-  messages: Array<{
-    role: string;
-    content: string | MessageContent[];
-  }>;
-  max_tokens?: number;
+export interface ProcessImageResult extends RequestStats {
+  content: string;
+  // 是否命中缓存
+  cached?: boolean;
+  // token用量，提供商未返回或命中缓存时为空
+  usage?: TokenUsage;
 }
 
-interface APIResponse {
-  choices?: Array<{
-    message: {
-      content: string;
-    };
-  }>;
-  content?: Array<{
-    text: string;
-  }>;
-  candidates?: Array<{
-    content: {
-      parts: Array<{
-        text: string;
-      }>;
-    };
-  }>;
-  error?: {
-    message: string;
-  };
+interface ProcessImageOptions {
+  model?: string;
+  rolePrompt?: string;
+  maxTokens?: number;
+  endpoint?: string;
+  // 取消请求的信号，触发后中止进行中的HTTP请求并抛出 AbortError
+  signal?: AbortSignal;
 }
 
 /**
@@ -134,13 +165,14 @@ export class ModelClient {
    * @private
    */
   private initClient(): void {
-    const { apiKey } = this.config;
+    const { apiKey, model = '', provider, openAiApicompatible } = this.config;
 
-    if (!apiKey) {
+    // 本地推理服务（如 Ollama、llama.cpp）不需要API密钥
+    if (!apiKey && resolveProvider(model, provider, openAiApicompatible).requiresApiKey !== false) {
       throw new Error('必须提供API密钥');
     }
 
-    this.apiKey = apiKey;
+    this.apiKey = apiKey || null;
   }
 
   /**
@@ -155,296 +187,167 @@ export class ModelClient {
     prompt: string,
     options: ProcessImageOptions = {}
   ): Promise<string> {
+    const result = await this.processImageWithStats(imagePath, prompt, options);
+    return result.content;
+  }
+
+  /**
+   * 处理图像并转换为Markdown文本，同时返回请求次数等统计信息
+   * @param imagePath 图像文件路径
+   * @param prompt 提示词
+   * @param options 附加选项
+   */
+  async processImageWithStats(
+    imagePath: Buffer|null,
+    prompt: string,
+    options: ProcessImageOptions = {}
+  ): Promise<ProcessImageResult> {
     const model = options.model || this.config.model;
     if (!model) {
       throw new Error('必须指定模型');
     }
+    if (options.signal?.aborted) {
+      throw new AbortError();
+    }
     const rolePrompt = options.rolePrompt || DEFAULT_ROLE_PROMPT;
     const maxTokens = options.maxTokens || 4096;
     const endpoint = options.endpoint || this.config.baseUrl;
 
-    // 读取图像文件
-    let base64Image: string | null = null;
-    if (imagePath) {
-      //const imageBuffer = await fs.readFile(imagePath);
-      base64Image = imagePath.toString('base64');
-    }
+    // 根据提供商构建请求并解析响应
+    const provider = resolveProvider(model, this.config.provider, this.config.openAiApicompatible);
 
-    // 根据不同模型类型调用对应API
-    if (model.startsWith('gpt-4') || model.startsWith('gpt-3.5')) {
-      return this.callOpenAIAPI(model, rolePrompt, prompt, base64Image, maxTokens, endpoint);
-    } else if (model.startsWith('claude') && !this.config.openAiApicompatible) {
-      return this.callClaudeAPI(model, rolePrompt, prompt, base64Image, maxTokens, endpoint);
-    } else if (model.startsWith('gemini') && !this.config.openAiApicompatible) {
-      return this.callGeminiAPI(model, rolePrompt, prompt, base64Image, maxTokens, endpoint);
-    } else if (model.startsWith('doubao') && !this.config.openAiApicompatible) {
-      return this.callDoubaoAPI(model, rolePrompt, prompt, base64Image, maxTokens, endpoint);
-    } else {
-      // 默认使用OpenAI
-      return this.callOpenAIAPI(model, rolePrompt, prompt, base64Image, maxTokens, endpoint);
-    }
-  }
-
-  /**
-   * 通过API调用OpenAI视觉模型
-   * @private
-   */
-  private async callOpenAIAPI(
-    model: string,
-    rolePrompt: string,
-    prompt: string,
-    base64Image: string | null,
-    maxTokens: number,
-    endpoint?: string
-  ): Promise<string> {
-    let apiEndpoint = endpoint || 'https://api.openai.com/v1/chat/completions';
-
-    //使用前过滤校验一下以防url拼接错误出现404
-    if (!apiEndpoint.includes('/chat/completions')) {
-      apiEndpoint = apiEndpoint.endsWith('/') ? `${apiEndpoint}chat/completions` : `${apiEndpoint}/chat/completions`;
+    // 按提供商的限制编码图像
+    let image: Buffer | null = null;
+    let mimeType = 'image/png';
+    if (imagePath) {
+      const { imageEncoding = {} } = this.config;
+      const encoded = await encodeImageForModel(imagePath, { ...provider.imageLimits, ...imageEncoding.limits }, imageEncoding);
+      image = encoded.data;
+      mimeType = encoded.mimeType;
     }
-
-    // 构建用户消息内容
-    const userContent: MessageContent[] = [{ type: 'text', text: prompt }];
-
-    // 如果有base64图片，添加图片内容
-    if (base64Image) {
-      userContent.push({
-        type: 'image_url',
-        image_url: {
-          url: `data:image/png;base64,${base64Image}`
-        }
-      });
+    const base64Image = image ? image.toString('base64') : null;
+
+    // 优先读取缓存，缓存键基于实际发送的图像，编码选项或提供商变化时不会命中其他图像的结果
+    const { cache } = this.config;
+    const cacheKey = cache
+      ? ResponseCache.createKey({ image, mimeType, provider: provider.name, prompt, rolePrompt, model, maxTokens })
+      : '';
+    if (cache) {
+      const cachedContent = await cache.get(cacheKey);
+      if (cachedContent !== null) {
+        return { content: cachedContent, attempts: 0, cached: true };
+      }
     }
-
-    const requestData: OpenAIRequest = {
+    const request = provider.buildRequest({
       model,
-      messages: [
-        {
-          role: 'system',
-          content: rolePrompt
-        },
-        {
-          role: 'user',
-          content: userContent
-        }
-      ],
-      max_tokens: maxTokens as number
-    };
-
-    const response = await this.makeHttpRequest(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify(requestData)
+      rolePrompt,
+      prompt,
+      base64Image,
+      mimeType,
+      maxTokens,
+      endpoint,
+      apiKey: this.apiKey,
     });
 
-    if (response.error) {
-      throw new Error(`OpenAI API调用失败: ${response.error.message || JSON.stringify(response.error)}`);
-    }
-
-    return response.choices?.[0]?.message?.content || '';
-  }
-
-  /**
-   * 通过API调用Claude视觉模型
-   * @private
-   */
-  private async callClaudeAPI(
-    model: string,
-    rolePrompt: string,
-    prompt: string,
-    base64Image: string | null,
-    maxTokens: number,
-    endpoint?: string
-  ): Promise<string> {
-    const apiEndpoint = endpoint || 'https://api.anthropic.com/v1/messages';
-
-    // 构建消息内容
-    const messageContent: MessageContent[] = [{ type: 'text', text: prompt }];
-
-    // 如果有base64图片，添加图片内容
-    if (base64Image) {
-      messageContent.push({
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: 'image/png',
-          data: base64Image
-        }
-      });
-    }
-
-    const requestData: ClaudeRequest = {
-      model,
-      system: rolePrompt,
-      max_tokens: maxTokens,
-      messages: [
-        {
-          role: 'user',
-          content: messageContent
-        }
-      ]
-    };
-
-    const response = await this.makeHttpRequest(apiEndpoint, {
+    const stats: RequestStats = { attempts: 0 };
+    const response = await this.makeHttpRequest(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        //@ts-ignore
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(requestData)
-    });
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    }, stats, options.signal);
 
-    if (response.error) {
-      throw new Error(`Claude API调用失败: ${response.error.message || JSON.stringify(response.error)}`);
+    const content = provider.parseResponse(response);
+    if (cache && content) {
+      await cache.set(cacheKey, model, content);
     }
 
-    return response.content?.[0]?.text || '';
+    return { content, usage: provider.parseUsage?.(response), ...stats };
   }
 
   /**
-   * 通过API调用Gemini视觉模型
+   * 通用HTTP请求方法，对可重试的错误按指数退避加随机抖动重试，限流时遵循 Retry-After
    * @private
    */
-  private async callGeminiAPI(
-    model: string,
-    rolePrompt: string,
-    prompt: string,
-    base64Image: string | null,
-    maxTokens: number,
-    endpoint?: string
-  ): Promise<string> {
-    const apiEndpoint = endpoint || `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
-
-    // 构建消息部分
-    const parts: GeminiRequestPart[] = [
-      { text: `${rolePrompt}\n${prompt}` }  // 合并系统提示和用户提示
-    ];
-
-    // 如果有base64图片，添加图片内容
-    if (base64Image) {
-      parts.push({
-        inline_data: {
-          mime_type: 'image/png',
-          data: base64Image
+  private async makeHttpRequest(url: string, options: {
+    method: string;
+    headers: Record<string, string>;
+    body?: string;
+  }, stats: RequestStats = { attempts: 0 }, signal?: AbortSignal): Promise<APIResponse> {
+    const { maxRetries = 3, baseDelay = 1000, maxDelay = 30000, maxRetryAfter = 600000 } = this.config.retry || {};
+
+    for (let attempt = 0; ; attempt++) {
+      stats.attempts = attempt + 1;
+      try {
+        return await this.sendHttpRequest(url, options, signal);
+      } catch (error) {
+        if (error instanceof AbortError) {
+          throw error;
         }
-      });
-    }
-
-    const requestData: GeminiRequest = {
-      contents: [{
-        parts: parts
-      }],
-      generation_config: {
-        max_output_tokens: maxTokens
-      }
-    };
-
-    // Gemini API使用URL参数传递API密钥
-    const fullUrl = `${apiEndpoint}?key=${this.apiKey}`;
-
-    const response = await this.makeHttpRequest(fullUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestData)
-    });
-
-    if (response.error) {
-      throw new Error(`Gemini API调用失败: ${response.error.message || JSON.stringify(response.error)}`);
-    }
-
-    return response.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  }
-
-  /**
-   * 通过API调用豆包视觉模型
-   * @private
-   */
-  private async callDoubaoAPI(
-    model: string,
-    rolePrompt: string,
-    prompt: string,
-    base64Image: string | null,
-    maxTokens: number,
-    endpoint?: string
-  ): Promise<string> {
-    //使用前过滤校验一下以防url拼接错误出现404
-    let apiEndpoint = endpoint || 'https://ark.cn-beijing.volces.com/api/v3';
-
-    if (!apiEndpoint.includes('/chat/completions')) {
-      apiEndpoint = apiEndpoint.endsWith('/') ? `${apiEndpoint}chat/completions` : `${apiEndpoint}/chat/completions`;
-    }
-
-    // 构建用户消息内容
-    const userContent: MessageContent[] = [{ type: 'text', text: prompt }];
-
-    // 如果有base64图片，添加图片内容
-    if (base64Image) {
-      userContent.push({
-        type: 'image_url',
-        image_url: {
-          url: `data:image/png;base64,${base64Image}`
+        const requestError = error as ModelRequestError;
+        requestError.attempts = attempt + 1;
+        if (!requestError.retryable || attempt >= maxRetries) {
+          throw requestError;
         }
-      });
-    }
-
-    const requestData: DoubaoRequest = {
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: rolePrompt
-        },
-        {
-          role: 'user',
-          content: userContent
+        // Retry-After 过长时直接失败，避免页面长时间挂起
+        if (requestError.retryAfter !== undefined && requestError.retryAfter > maxRetryAfter) {
+          requestError.retryable = false;
+          requestError.message += `（服务端要求 ${requestError.retryAfter}ms 后重试，超过 maxRetryAfter ${maxRetryAfter}ms，不再重试）`;
+          throw requestError;
         }
-      ],
-      max_tokens: maxTokens as number
-    };
 
-    const response = await this.makeHttpRequest(
-      apiEndpoint,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(JSON.stringify(requestData)).toString(),
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestData)
+        // 指数退避 + 随机抖动，服务端给出 Retry-After 时以其为准
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+        const delay = requestError.retryAfter ?? Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+        console.warn(`请求失败(${requestError.message.slice(0, 200)})，${delay}ms 后进行第 ${attempt + 1}/${maxRetries} 次重试`);
+        await sleep(delay, signal);
       }
-    );
-
-    if (response.error) {
-      throw new Error(`豆包API调用失败: ${response.error.message || JSON.stringify(response.error)}`);
     }
-
-    return response.choices?.[0]?.message?.content || '';
   }
 
   /**
-   * 通用HTTP请求方法
+   * 发送单次HTTP请求，超时或 signal 触发时销毁连接
    * @private
    */
-  private async makeHttpRequest(url: string, options: {
+  private async sendHttpRequest(url: string, options: {
     method: string;
     headers: Record<string, string>;
     body?: string;
-  }): Promise<APIResponse> {
-    return new Promise((resolve, reject) => {
+  }, signal?: AbortSignal): Promise<APIResponse> {
+    const { timeout = 300000 } = this.config;
+    return new Promise((promiseResolve, promiseReject) => {
+      if (signal?.aborted) {
+        promiseReject(new AbortError());
+        return;
+      }
+      // 请求结束时清理定时器和监听器，并保证只结束一次
+      let settled = false;
+      const finish = () => {
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const resolve = (value: APIResponse) => {
+        if (!settled) {
+          finish();
+          promiseResolve(value);
+        }
+      };
+      const reject = (error: Error) => {
+        if (!settled) {
+          finish();
+          promiseReject(error);
+        }
+      };
+
       const urlObj = new URL(url);
       const client = urlObj.protocol === 'https:' ? https : http;
+      const headers = { ...options.headers };
+      if (options.body && !headers['Content-Length']) {
+        headers['Content-Length'] = Buffer.byteLength(options.body).toString();
+      }
       const requestOptions = {
         method: options.method || 'GET',
-        headers: options.headers || {},
+        headers,
         hostname: urlObj.hostname,
         port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
         path: urlObj.pathname + urlObj.search
@@ -456,22 +359,45 @@ export class ModelClient {
         });
 
         res.on('end', () => {
+          const statusCode = res.statusCode || 0;
+          if (statusCode < 200 || statusCode >= 300) {
+            reject(new ModelRequestError(`请求失败，状态码: ${statusCode}, 响应: ${data}`, {
+              statusCode,
+              retryable: RETRYABLE_STATUS_CODES.includes(statusCode),
+              retryAfter: statusCode === 429 || statusCode === 503 ? parseRetryAfter(res.headers['retry-after']) : undefined,
+            }));
+            return;
+          }
           try {
-            if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-              const parsedData = JSON.parse(data);
-              resolve(parsedData);
-            } else {
-              reject(new Error(`请求失败，状态码: ${res.statusCode}, 响应: ${data}`));
-            }
+            resolve(JSON.parse(data));
           } catch (e) {
-            //@ts-ignore
-            reject(new Error(`API响应解析失败: ${e.message}, 原始响应: ${data}`));
+            reject(new ModelRequestError(`API响应解析失败: ${(e as Error).message}, 原始响应: ${data}`, {
+              statusCode,
+              retryable: false,
+            }));
           }
         });
+
+        res.on('error', (error: NodeJS.ErrnoException) => {
+          reject(new ModelRequestError(`响应读取失败: ${error.message}`, { code: error.code, retryable: true }));
+        });
       });
 
-      req.on('error', (error) => {
-        reject(new Error(`请求失败: ${error.message}`));
+      const timer = setTimeout(() => {
+        reject(new ModelRequestError(`请求超时(${timeout}ms)`, { code: 'ETIMEDOUT', retryable: true }));
+        req.destroy();
+      }, timeout);
+      const onAbort = () => {
+        reject(new AbortError());
+        req.destroy();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      req.on('error', (error: NodeJS.ErrnoException) => {
+        reject(new ModelRequestError(`请求失败: ${error.message}`, {
+          code: error.code,
+          retryable: !error.code || RETRYABLE_ERROR_CODES.includes(error.code),
+        }));
       });
 
       if (options.body) {
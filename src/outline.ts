@@ -0,0 +1,95 @@
+/**
+ * 大纲模块，使用PDF书签确定标题层级，并根据最终的标题生成带锚点的目录
+ */
+import type { OutlineEntry } from './image-generator';
+import { matchHeadingLevels, applyHeadingLevels, extractHeadings, HeadingMatchReport } from './heading-match';
+
+const MAX_LEVEL = 6;
+// 目录的起止标记，重复生成时据此替换旧目录
+const TOC_START = '<!-- toc -->';
+const TOC_END = '<!-- tocstop -->';
+
+/**
+ * 以PDF书签为准设置标题层级
+ * 书签中找不到的标题视为其前一个书签标题的子标题，层级不高于该标题
+ * @param markdownText Markdown文本
+ * @param outline PDF书签
+ * @returns 调整后的文本和匹配报告
+ */
+export const applyOutlineLevels = (
+  markdownText: string,
+  outline: OutlineEntry[]
+): { content: string; report: HeadingMatchReport } => {
+  const outlineTitle = outline
+    .map((entry) => `${'#'.repeat(Math.min(MAX_LEVEL, entry.level))} ${entry.title}`)
+    .join('\n');
+  const { content, report } = matchHeadingLevels(markdownText, outlineTitle);
+
+  // 书签通常只覆盖较高的几级，书签之外的标题放到最近的书签标题之下
+  const unmappedLines = new Set(report.unmapped.map((heading) => heading.line));
+  const levels = new Map<number, number>();
+  let parentLevel = 0;
+  for (const heading of extractHeadings(content)) {
+    if (!unmappedLines.has(heading.line)) {
+      parentLevel = heading.level;
+    } else if (parentLevel > 0 && heading.level <= parentLevel) {
+      levels.set(heading.line, Math.min(MAX_LEVEL, parentLevel + 1));
+    }
+  }
+  return { content: applyHeadingLevels(content, levels), report };
+};
+
+/**
+ * 生成标题锚点，规则与GitHub一致：转小写，去掉标点，空格替换为连字符
+ * @param text 标题文本
+ */
+export const slugifyHeading = (text: string): string =>
+  text
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s/g, '-');
+
+/**
+ * 根据文档中的标题生成带锚点的Markdown目录
+ * @param markdownText Markdown文本
+ * @param maxLevel 目录包含的最深标题层级，默认 3
+ */
+export const buildTableOfContents = (markdownText: string, maxLevel: number = 3): string => {
+  const headings = extractHeadings(markdownText);
+  if (headings.length === 0) {
+    return '';
+  }
+  const minLevel = Math.min(...headings.map((heading) => heading.level));
+  const slugCounts = new Map<string, number>();
+  const items: string[] = [];
+  for (const heading of headings) {
+    // 同名标题的锚点依次追加 -1、-2，所有标题都要计数才能与渲染结果一致
+    const baseSlug = slugifyHeading(heading.text);
+    const count = slugCounts.get(baseSlug) || 0;
+    slugCounts.set(baseSlug, count + 1);
+    if (heading.level - minLevel + 1 > maxLevel) {
+      continue;
+    }
+    const slug = count > 0 ? `${baseSlug}-${count}` : baseSlug;
+    const title = heading.text.replace(/[[\]]/g, '\\$&');
+    items.push(`${'  '.repeat(heading.level - minLevel)}- [${title}](#${slug})`);
+  }
+  return [TOC_START, ...items, TOC_END].join('\n');
+};
+
+/**
+ * 在文档开头插入目录，已有目录时替换
+ * @param markdownText Markdown文本
+ * @param maxLevel 目录包含的最深标题层级
+ */
+export const insertTableOfContents = (markdownText: string, maxLevel?: number): string => {
+  const start = markdownText.indexOf(TOC_START);
+  const end = markdownText.indexOf(TOC_END);
+  const body = start !== -1 && end > start
+    ? markdownText.slice(0, start) + markdownText.slice(end + TOC_END.length).replace(/^\n+/, '')
+    : markdownText;
+  const toc = buildTableOfContents(body, maxLevel);
+  return toc ? `${toc}\n\n${body}` : body;
+};
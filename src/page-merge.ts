@@ -0,0 +1,140 @@
+/**
+ * 跨页合并模块，拼接各页内容时将被分页截断的段落、连字符断词和跨页表格重新接上
+ */
+
+export interface PageContent {
+  pageIndex: number;
+  content: string;
+}
+
+// 句末标点，以这些字符结尾的行视为段落已结束
+const TERMINAL_PUNCTUATION = /[。！？!?.:：;；…"”’」』）)\]】>*_`$]$/;
+// 中日韩字符，两侧有此类字符时直接拼接，不加空格
+const CJK_CHAR = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/;
+// 不属于普通段落的Markdown块的起始标记：标题、表格、引用、代码块、列表、图片、HTML、公式
+const NON_PARAGRAPH_START = /^(#|\||>|```|~~~|[-*+]\s|\d+[.)]\s|!\[|<|\$\$)/;
+const TABLE_ROW = /^\|.*\|$/;
+const TABLE_SEPARATOR = /^\|(\s*:?-+:?\s*\|)+$/;
+
+const isParagraphLine = (line: string): boolean => line.length > 0 && !NON_PARAGRAPH_START.test(line);
+
+const splitCells = (row: string): string[] => row.slice(1, -1).split('|').map((cell) => cell.trim());
+
+const isSameRow = (a: string, b: string): boolean =>
+  splitCells(a).join('|').replace(/\s+/g, '') === splitCells(b).join('|').replace(/\s+/g, '');
+
+// 代码块未闭合时不做任何合并
+const hasOpenFence = (lines: string[]): boolean =>
+  lines.filter((line) => /^(```|~~~)/.test(line.trim())).length % 2 === 1;
+
+/**
+ * 合并跨页表格：下一页以表格开头且与上一页末尾的表格列数相同时，接在其后，并去掉重复的表头
+ * @returns 合并后下一页剩余的行，无法合并时返回 null
+ */
+const mergeTable = (headLines: string[], nextLines: string[]): string[] | null => {
+  let start = headLines.length - 1;
+  while (start > 0 && TABLE_ROW.test(headLines[start - 1].trim())) {
+    start--;
+  }
+  const header = headLines[start].trim();
+  const firstRow = nextLines[0].trim();
+  const hasHeader = nextLines.length > 1 && TABLE_SEPARATOR.test(nextLines[1].trim());
+  if (hasHeader) {
+    // 下一页的表头与上一页不同，视为新的表格
+    return isSameRow(header, firstRow) ? nextLines.slice(2) : null;
+  }
+  return splitCells(header).length === splitCells(firstRow).length ? nextLines : null;
+};
+
+/**
+ * 合并被分页截断的段落，处理英文连字符断词，中文直接拼接
+ * @returns 合并后的行，无法合并时返回 null
+ */
+const mergeParagraph = (lastLine: string, firstLine: string): string | null => {
+  if (!isParagraphLine(lastLine) || !isParagraphLine(firstLine) || TERMINAL_PUNCTUATION.test(lastLine)) {
+    return null;
+  }
+  const lastChar = lastLine.slice(-1);
+  const firstChar = firstLine.charAt(0);
+  if (/[A-Za-z]-$/.test(lastLine) && /[a-z]/.test(firstChar)) {
+    return lastLine.slice(0, -1) + firstLine;
+  }
+  if (CJK_CHAR.test(lastChar) || CJK_CHAR.test(firstChar)) {
+    return lastLine + firstLine;
+  }
+  // 英文只在下一页以小写字母开头时才认为是同一句话
+  if (/[a-z]/.test(firstChar)) {
+    return `${lastLine} ${firstLine}`;
+  }
+  return null;
+};
+
+/**
+ * 尝试将下一页内容接在已拼接内容之后
+ * @returns 合并后的完整内容及下一页剩余内容的起始行号，无法合并时返回 null
+ */
+const mergeBoundary = (before: string, next: string): { content: string; start: number } | null => {
+  const headLines = before.trimEnd().split('\n');
+  const nextLines = next.replace(/^\s+/, '').trimEnd().split('\n');
+  if (headLines[0] === '' || nextLines[0] === '' || hasOpenFence(headLines)) {
+    return null;
+  }
+  const lastLine = headLines[headLines.length - 1].trim();
+  const firstLine = nextLines[0].trim();
+
+  if (TABLE_ROW.test(lastLine) && TABLE_ROW.test(firstLine)) {
+    const rest = mergeTable(headLines, nextLines);
+    return rest ? { content: [...headLines, ...rest].join('\n') + '\n', start: headLines.length } : null;
+  }
+
+  const merged = mergeParagraph(lastLine, firstLine);
+  if (merged === null) {
+    return null;
+  }
+  return {
+    content: [...headLines.slice(0, -1), merged, ...nextLines.slice(1)].join('\n') + '\n',
+    start: headLines.length,
+  };
+};
+
+// 每页内容在拼接结果中的起始行号（从0开始）；与上一页合并的行归属上一页
+export interface PageStart {
+  pageIndex: number;
+  line: number;
+}
+
+/**
+ * 按页码顺序拼接各页内容，并记录每页的起始行号
+ * @param pages 按页码排序的页面内容
+ * @param merge 是否合并跨页内容，为 false 时直接用换行拼接
+ */
+export const mergePageContentsWithMap = (
+  pages: PageContent[],
+  merge: boolean = true
+): { content: string; pageStarts: PageStart[] } => {
+  let content = '';
+  let previous: PageContent | undefined;
+  const pageStarts: PageStart[] = [];
+  for (const page of pages) {
+    const merged = merge && previous && page.pageIndex === previous.pageIndex + 1
+      ? mergeBoundary(content, page.content)
+      : null;
+    if (merged) {
+      pageStarts.push({ pageIndex: page.pageIndex, line: merged.start });
+      content = merged.content;
+    } else {
+      pageStarts.push({ pageIndex: page.pageIndex, line: content.split('\n').length - 1 });
+      content += page.content + '\n';
+    }
+    previous = page;
+  }
+  return { content, pageStarts };
+};
+
+/**
+ * 按页码顺序拼接各页内容，仅在相邻页之间尝试合并跨页的段落和表格
+ * @param pages 按页码排序的页面内容
+ * @param merge 是否合并跨页内容，为 false 时直接用换行拼接
+ */
+export const mergePageContents = (pages: PageContent[], merge: boolean = true): string =>
+  mergePageContentsWithMap(pages, merge).content;
@@ -0,0 +1,192 @@
+/**
+ * 分块处理模块，将超大页面（工程图纸、海报、A3表格等）切分为相互重叠的分块分别识别，再按阅读顺序合并并去掉重叠部分重复的文字
+ */
+import sharp from 'sharp';
+
+export interface TileOptions {
+  // 分块的目标边长（像素），默认 1568，未指定行列数时据此计算
+  tileSize?: number;
+  // 相邻分块重叠的比例，默认 0.1
+  overlap?: number;
+  // 固定的行数和列数，不指定时根据 tileSize 计算
+  rows?: number;
+  columns?: number;
+  // 页面最长边超过该值（单位为点，1/72英寸）时才分块，默认 1000，A4、Letter 等常规页面不分块
+  minPageSize?: number;
+}
+
+export interface TileRegion {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+export interface PageTile {
+  // 分块所在的行和列，从0开始
+  row: number;
+  column: number;
+  rows: number;
+  columns: number;
+  // 在页面图像中的像素区域
+  region: TileRegion;
+  data: Buffer;
+}
+
+// 分块的识别结果
+export interface TileContent {
+  row: number;
+  column: number;
+  content: string;
+}
+
+// 去重时只比较长度不小于该值的行，避免误删 "0"、"-" 这类本身就会重复出现的短行
+const MIN_DUPLICATE_LENGTH = 4;
+// 与上方分块比较时，只看其末尾的若干行
+const ABOVE_LINES = 10;
+// 与左侧分块比较时，只看相对高度相近的若干行；同一行的分块高度相同，重叠区域中的文字在两块中的相对位置基本一致
+const LEFT_WINDOW = 3;
+
+/**
+ * 将一条边切分为 count 段，相邻段重叠 overlapRatio
+ */
+const splitAxis = (length: number, count: number, overlapRatio: number): Array<[number, number]> => {
+  if (count <= 1) {
+    return [[0, length]];
+  }
+  // 每段长度 size 满足 count * size - (count - 1) * overlap = length
+  const size = Math.ceil(length / (count - (count - 1) * overlapRatio));
+  const step = (length - size) / (count - 1);
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.round(i * step);
+    return [start, Math.min(size, length - start)];
+  });
+};
+
+/**
+ * 计算分块的行列数，分块数为1时表示不需要分块
+ */
+const countTiles = (length: number, tileSize: number, overlapRatio: number): number => {
+  if (length <= tileSize) {
+    return 1;
+  }
+  const overlap = tileSize * overlapRatio;
+  return Math.ceil((length - overlap) / (tileSize - overlap));
+};
+
+/**
+ * 计算页面图像的分块区域
+ * @param width 页面图像宽度
+ * @param height 页面图像高度
+ * @param options 分块选项
+ * @returns 按行优先排列的分块区域，不需要分块时返回一个覆盖整页的区域
+ */
+export const planTiles = (
+  width: number,
+  height: number,
+  options: TileOptions = {}
+): Array<{ row: number; column: number; region: TileRegion }> => {
+  const { tileSize = 1568, overlap = 0.1 } = options;
+  const overlapRatio = Math.min(0.5, Math.max(0, overlap));
+  const rows = options.rows || countTiles(height, tileSize, overlapRatio);
+  const columns = options.columns || countTiles(width, tileSize, overlapRatio);
+  const ys = splitAxis(height, rows, overlapRatio);
+  const xs = splitAxis(width, columns, overlapRatio);
+  return ys.flatMap(([top, tileHeight], row) =>
+    xs.map(([left, tileWidth], column) => ({ row, column, region: { left, top, width: tileWidth, height: tileHeight } }))
+  );
+};
+
+/**
+ * 将页面图像切分为重叠的分块
+ * @param image 页面图像（PNG）
+ * @param pageSize 页面最长边（单位为点），用于判断是否需要分块
+ * @param options 分块选项
+ * @returns 分块列表，页面不需要分块时返回 undefined
+ */
+export const splitPageIntoTiles = async (
+  image: Buffer,
+  pageSize: number,
+  options: TileOptions = {}
+): Promise<PageTile[] | undefined> => {
+  const { minPageSize = 1000 } = options;
+  if (pageSize <= minPageSize) {
+    return undefined;
+  }
+  const { width = 0, height = 0 } = await sharp(image).metadata();
+  const plan = planTiles(width, height, options);
+  if (plan.length <= 1) {
+    return undefined;
+  }
+  const rows = plan[plan.length - 1].row + 1;
+  const columns = plan[plan.length - 1].column + 1;
+  const tiles: PageTile[] = [];
+  for (const { row, column, region } of plan) {
+    const data = await sharp(image).extract(region).png().toBuffer();
+    tiles.push({ row, column, rows, columns, region, data });
+  }
+  return tiles;
+};
+
+const normalizeLine = (line: string): string => line.normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+
+const isComparable = (line: string): boolean =>
+  normalizeLine(line).length >= MIN_DUPLICATE_LENGTH && !/^\|?[\s:|-]+\|?$/.test(line.trim());
+
+/**
+ * 按阅读顺序（从上到下、从左到右）合并分块的识别结果，并去掉重叠区域中重复识别的行：
+ * 分块开头与上方分块末尾相同的行，以及与左侧分块中相对高度相近的相同行。
+ * 合并按分块逐行进行，页面本身分为多栏排版时，各栏的文字会按分块交错出现；跨越分块左右边界的句子和表格也会被拆开
+ * @param tiles 各分块的识别结果
+ * @returns 合并后的页面内容
+ */
+export const mergeTileContents = (tiles: TileContent[]): string => {
+  const sorted = [...tiles].sort((a, b) => a.row - b.row || a.column - b.column);
+  const linesByTile = new Map<string, string[]>();
+  for (const tile of sorted) {
+    linesByTile.set(`${tile.row},${tile.column}`, tile.content.trim().split('\n'));
+  }
+
+  const outputs: string[] = [];
+  for (const tile of sorted) {
+    const lines = linesByTile.get(`${tile.row},${tile.column}`)!;
+    const dropped = new Set<number>();
+
+    // 上方分块的底部与当前分块的顶部重叠，去掉开头重复的行
+    const above = linesByTile.get(`${tile.row - 1},${tile.column}`);
+    if (above) {
+      const aboveTail = new Set(above.filter((line) => line.trim()).slice(-ABOVE_LINES).map(normalizeLine));
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() && !(isComparable(lines[i]) && aboveTail.has(normalizeLine(lines[i])))) {
+          break;
+        }
+        dropped.add(i);
+      }
+    }
+
+    // 左侧分块的右边缘与当前分块的左边缘重叠，只与左侧分块中相对高度相近的行比较，每行最多对应一次
+    const left = linesByTile.get(`${tile.row},${tile.column - 1}`);
+    if (left) {
+      const used = new Set<number>();
+      lines.forEach((line, i) => {
+        if (dropped.has(i) || !isComparable(line)) {
+          return;
+        }
+        const expected = Math.round((i / Math.max(1, lines.length - 1)) * (left.length - 1));
+        for (let j = Math.max(0, expected - LEFT_WINDOW); j <= Math.min(left.length - 1, expected + LEFT_WINDOW); j++) {
+          if (!used.has(j) && isComparable(left[j]) && normalizeLine(left[j]) === normalizeLine(line)) {
+            used.add(j);
+            dropped.add(i);
+            break;
+          }
+        }
+      });
+    }
+
+    const content = lines.filter((_, i) => !dropped.has(i)).join('\n').trim();
+    if (content) {
+      outputs.push(content);
+    }
+  }
+  return outputs.join('\n\n') + '\n';
+};
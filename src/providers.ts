@@ -0,0 +1,461 @@
+/**
+ * 模型提供商模块，维护提供商适配器的注册表，每个适配器负责构建请求和解析响应
+ */
+import { TokenUsage } from './usage';
+import type { ImageLimits } from './image-encoder';
+
+export interface MessageContent {
+  type: string;
+  text?: string;
+  image_url?: {
+    url: string;
+  };
+  source?: {
+    type: string;
+    media_type: string;
+    data: string;
+  };
+  inline_data?: {
+    mime_type: string;
+    data: string;
+  };
+  [key: string]: any; // 允许其他属性
+}
+
+interface OpenAIRequest {
+  model: string;
+  messages: Array<{
+    role: string;
+    content: string | MessageContent[];
+  }>;
+  max_tokens: number;
+}
+
+interface ClaudeRequest {
+  model: string;
+  system: string;
+  max_tokens: number;
+  messages: Array<{
+    role: string;
+    content: MessageContent[];
+  }>;
+}
+
+interface GeminiRequestPart {
+  text?: string;
+  inline_data?: {
+    mime_type: string;
+    data: string;
+  };
+}
+
+interface GeminiRequest {
+  contents: Array<{
+    parts: Array<GeminiRequestPart>;
+  }>;
+  generation_config: {
+    max_output_tokens: number;
+  };
+}
+
+export interface APIResponse {
+  choices?: Array<{
+    message: {
+      content: string;
+    };
+  }>;
+  content?: Array<{
+    text: string;
+  }>;
+  candidates?: Array<{
+    content: {
+      parts: Array<{
+        text: string;
+      }>;
+    };
+  }>;
+  message?: {
+    content: string;
+  };
+  // OpenAI、豆包使用 prompt_tokens/completion_tokens，Claude 使用 input_tokens/output_tokens
+  usage?: {
+    prompt_tokens?: number;
+    completion_tokens?: number;
+    input_tokens?: number;
+    output_tokens?: number;
+  };
+  // Gemini 的用量字段
+  usageMetadata?: {
+    promptTokenCount?: number;
+    candidatesTokenCount?: number;
+  };
+  error?: {
+    message: string;
+  };
+  [key: string]: any; // 自定义提供商的其他字段
+}
+
+// 构建请求所需的参数
+export interface ProviderRequestContext {
+  model: string;
+  rolePrompt: string;
+  prompt: string;
+  // base64编码的图像，纯文本请求时为 null
+  base64Image: string | null;
+  // 图像的MIME类型，例如 image/png
+  mimeType: string;
+  maxTokens: number;
+  // 调用方指定的API地址，未指定时使用提供商的默认地址
+  endpoint?: string;
+  apiKey: string | null;
+}
+
+// 适配器构建的HTTP请求
+export interface ProviderRequest {
+  url: string;
+  headers: Record<string, string>;
+  body: unknown;
+}
+
+/**
+ * 模型提供商适配器
+ */
+export interface ProviderAdapter {
+  // 提供商名称，对应 ModelClient 的 provider 选项
+  name: string;
+  // 未指定 provider 时，根据模型名称判断是否由该提供商处理
+  matchModel?: (model: string) => boolean;
+  // 是否必须提供API密钥，默认为 true，本地推理服务可设为 false
+  requiresApiKey?: boolean;
+  // 单张图像的尺寸和大小限制，发送前会缩放或改用有损编码以满足限制
+  imageLimits?: ImageLimits;
+  // 构建HTTP请求
+  buildRequest: (context: ProviderRequestContext) => ProviderRequest;
+  // 从响应中提取模型输出的文本，响应包含错误时应抛出异常
+  parseResponse: (response: APIResponse) => string;
+  // 从响应中提取token用量，可选
+  parseUsage?: (response: APIResponse) => TokenUsage | undefined;
+}
+
+const providers = new Map<string, ProviderAdapter>();
+
+/**
+ * 注册模型提供商适配器，同名适配器会被覆盖
+ * 自定义适配器的 matchModel 优先于内置适配器
+ * @param adapter 提供商适配器
+ */
+export const registerProvider = (adapter: ProviderAdapter): void => {
+  if (!adapter.name) {
+    throw new Error('提供商名称不能为空');
+  }
+  providers.delete(adapter.name);
+  providers.set(adapter.name, adapter);
+};
+
+/**
+ * 获取已注册的提供商适配器
+ * @param name 提供商名称
+ */
+export const getProvider = (name: string): ProviderAdapter | undefined => providers.get(name);
+
+/**
+ * 获取所有已注册的提供商名称
+ */
+export const getProviderNames = (): string[] => [...providers.keys()];
+
+/**
+ * 确定处理某个模型的提供商
+ * @param model 模型名称
+ * @param name 显式指定的提供商名称
+ * @param openAiApicompatible 未指定提供商时，是否统一使用OpenAI兼容接口
+ */
+export const resolveProvider = (model: string, name?: string, openAiApicompatible?: boolean): ProviderAdapter => {
+  if (name) {
+    const provider = providers.get(name);
+    if (!provider) {
+      throw new Error(`未注册的模型提供商: ${name}，可选: ${getProviderNames().join(', ')}`);
+    }
+    return provider;
+  }
+  if (!openAiApicompatible) {
+    // 后注册的适配器优先匹配
+    for (const provider of [...providers.values()].reverse()) {
+      if (provider.matchModel?.(model)) {
+        return provider;
+      }
+    }
+  }
+  // 默认使用OpenAI
+  return providers.get('openai')!;
+};
+
+// 补全接口路径，以防url拼接错误出现404
+const withPath = (endpoint: string, apiPath: string): string => {
+  if (endpoint.includes(apiPath)) {
+    return endpoint;
+  }
+  return endpoint.endsWith('/') ? `${endpoint}${apiPath}` : `${endpoint}/${apiPath}`;
+};
+
+const withChatCompletions = (endpoint: string): string => withPath(endpoint, 'chat/completions');
+
+// 响应中包含错误时抛出异常
+const assertNoError = (label: string, response: APIResponse): void => {
+  if (response.error) {
+    throw new Error(`${label}API调用失败: ${response.error.message || JSON.stringify(response.error)}`);
+  }
+};
+
+// 解析OpenAI格式的用量字段，OpenAI兼容的接口共用
+const parseChatUsage = (response: APIResponse): TokenUsage | undefined => {
+  if (!response.usage) {
+    return undefined;
+  }
+  return {
+    inputTokens: response.usage.prompt_tokens || 0,
+    outputTokens: response.usage.completion_tokens || 0,
+  };
+};
+
+// 构建OpenAI格式的消息，OpenAI兼容的接口共用
+const buildChatRequest = ({ model, rolePrompt, prompt, base64Image, mimeType, maxTokens }: ProviderRequestContext): OpenAIRequest => {
+  // 构建用户消息内容
+  const userContent: MessageContent[] = [{ type: 'text', text: prompt }];
+
+  // 如果有base64图片，添加图片内容
+  if (base64Image) {
+    userContent.push({
+      type: 'image_url',
+      image_url: {
+        url: `data:${mimeType};base64,${base64Image}`
+      }
+    });
+  }
+
+  return {
+    model,
+    messages: [
+      {
+        role: 'system',
+        content: rolePrompt
+      },
+      {
+        role: 'user',
+        content: userContent
+      }
+    ],
+    max_tokens: maxTokens
+  };
+};
+
+// OpenAI视觉模型
+registerProvider({
+  name: 'openai',
+  matchModel: (model) => model.startsWith('gpt-4') || model.startsWith('gpt-3.5'),
+  // 服务端会将图像缩放到 2048x2048 以内，单张图像不超过 20MB
+  imageLimits: { maxDimension: 2048, maxBytes: 20 * 1024 * 1024 },
+  buildRequest: (context) => ({
+    url: withChatCompletions(context.endpoint || 'https://api.openai.com/v1/chat/completions'),
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${context.apiKey}`
+    },
+    body: buildChatRequest(context),
+  }),
+  parseResponse: (response) => {
+    assertNoError('OpenAI ', response);
+    return response.choices?.[0]?.message?.content || '';
+  },
+  parseUsage: parseChatUsage,
+});
+
+// Claude视觉模型
+registerProvider({
+  name: 'claude',
+  matchModel: (model) => model.startsWith('claude'),
+  // 最长边超过 1568 像素时服务端会缩小，单张图像不超过 5MB
+  imageLimits: { maxDimension: 1568, maxBytes: 5 * 1024 * 1024 },
+  buildRequest: ({ model, rolePrompt, prompt, base64Image, mimeType, maxTokens, endpoint, apiKey }) => {
+    // 构建消息内容
+    const messageContent: MessageContent[] = [{ type: 'text', text: prompt }];
+
+    // 如果有base64图片，添加图片内容
+    if (base64Image) {
+      messageContent.push({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: mimeType,
+          data: base64Image
+        }
+      });
+    }
+
+    const requestData: ClaudeRequest = {
+      model,
+      system: rolePrompt,
+      max_tokens: maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: messageContent
+        }
+      ]
+    };
+
+    return {
+      url: endpoint || 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey || '',
+        'anthropic-version': '2023-06-01'
+      },
+      body: requestData,
+    };
+  },
+  parseResponse: (response) => {
+    assertNoError('Claude ', response);
+    return response.content?.[0]?.text || '';
+  },
+  parseUsage: (response) => response.usage && {
+    inputTokens: response.usage.input_tokens || 0,
+    outputTokens: response.usage.output_tokens || 0,
+  },
+});
+
+// Gemini视觉模型
+registerProvider({
+  name: 'gemini',
+  matchModel: (model) => model.startsWith('gemini'),
+  // 内联数据的请求总大小不超过 20MB，预留提示词的空间
+  imageLimits: { maxDimension: 3072, maxBytes: 18 * 1024 * 1024 },
+  buildRequest: ({ model, rolePrompt, prompt, base64Image, mimeType, maxTokens, endpoint, apiKey }) => {
+    const apiEndpoint = endpoint || `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
+
+    // 构建消息部分
+    const parts: GeminiRequestPart[] = [
+      { text: `${rolePrompt}\n${prompt}` }  // 合并系统提示和用户提示
+    ];
+
+    // 如果有base64图片，添加图片内容
+    if (base64Image) {
+      parts.push({
+        inline_data: {
+          mime_type: mimeType,
+          data: base64Image
+        }
+      });
+    }
+
+    const requestData: GeminiRequest = {
+      contents: [{
+        parts: parts
+      }],
+      generation_config: {
+        max_output_tokens: maxTokens
+      }
+    };
+
+    return {
+      // Gemini API使用URL参数传递API密钥
+      url: `${apiEndpoint}?key=${apiKey}`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: requestData,
+    };
+  },
+  parseResponse: (response) => {
+    assertNoError('Gemini ', response);
+    return response.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  },
+  parseUsage: (response) => response.usageMetadata && {
+    inputTokens: response.usageMetadata.promptTokenCount || 0,
+    outputTokens: response.usageMetadata.candidatesTokenCount || 0,
+  },
+});
+
+// 豆包视觉模型
+registerProvider({
+  name: 'doubao',
+  matchModel: (model) => model.startsWith('doubao'),
+  // 单张图像不超过 10MB，像素总数不超过 3600 万
+  imageLimits: { maxPixels: 36000000, maxBytes: 10 * 1024 * 1024 },
+  buildRequest: (context) => ({
+    url: withChatCompletions(context.endpoint || 'https://ark.cn-beijing.volces.com/api/v3'),
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${context.apiKey}`
+    },
+    body: buildChatRequest(context),
+  }),
+  parseResponse: (response) => {
+    assertNoError('豆包', response);
+    return response.choices?.[0]?.message?.content || '';
+  },
+  parseUsage: parseChatUsage,
+});
+
+// Ollama 本地推理服务，使用 /api/chat 接口，图片通过 images 字段传递
+registerProvider({
+  name: 'ollama',
+  requiresApiKey: false,
+  buildRequest: ({ model, rolePrompt, prompt, base64Image, maxTokens, endpoint, apiKey }) => {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return {
+      url: withPath(endpoint || 'http://localhost:11434', 'api/chat'),
+      headers,
+      body: {
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: rolePrompt
+          },
+          {
+            role: 'user',
+            content: prompt,
+            ...(base64Image ? { images: [base64Image] } : {})
+          }
+        ],
+        stream: false,
+        options: {
+          num_predict: maxTokens
+        }
+      },
+    };
+  },
+  parseResponse: (response) => {
+    assertNoError('Ollama ', response);
+    return response.message?.content || '';
+  },
+  parseUsage: (response) => ({
+    inputTokens: response.prompt_eval_count || 0,
+    outputTokens: response.eval_count || 0,
+  }),
+});
+
+// llama.cpp 本地推理服务（llama-server），使用其OpenAI兼容的 /v1/chat/completions 接口
+registerProvider({
+  name: 'llamacpp',
+  requiresApiKey: false,
+  buildRequest: (context) => {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (context.apiKey) {
+      headers['Authorization'] = `Bearer ${context.apiKey}`;
+    }
+    return {
+      url: withChatCompletions(context.endpoint || 'http://localhost:8080/v1'),
+      headers,
+      body: buildChatRequest(context),
+    };
+  },
+  parseResponse: (response) => {
+    assertNoError('llama.cpp ', response);
+    return response.choices?.[0]?.message?.content || '';
+  },
+  parseUsage: parseChatUsage,
+});
@@ -0,0 +1,128 @@
+/**
+ * 模型响应缓存模块，以页面图像、提示词和模型参数的哈希为键，将模型输出缓存到磁盘
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export interface CacheOptions {
+  // 缓存目录，默认为 outputDir/cache
+  dir?: string;
+  // 缓存有效期（毫秒），不设置则永不过期
+  ttl?: number;
+  // 只读模式：只读取已有缓存，不写入新结果
+  readOnly?: boolean;
+  // 跳过缓存读取，总是调用模型，但仍会写入（刷新）缓存
+  bypass?: boolean;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+}
+
+// 参与缓存键计算的请求参数
+export interface CacheKeyParams {
+  // 实际发送给模型的图像（编码后）及其MIME类型
+  image: Buffer | null;
+  mimeType?: string;
+  // 提供商名称，不同提供商的请求格式和图像限制不同
+  provider?: string;
+  prompt: string;
+  rolePrompt: string;
+  model: string;
+  maxTokens: number;
+}
+
+interface CacheEntry {
+  createdAt: number;
+  model: string;
+  content: string;
+}
+
+/**
+ * 磁盘响应缓存
+ */
+export class ResponseCache {
+  private options: CacheOptions & { dir: string };
+  private stats: CacheStats = { hits: 0, misses: 0 };
+
+  /**
+   * 创建缓存实例
+   * @param options 缓存配置
+   */
+  constructor(options: CacheOptions & { dir: string }) {
+    this.options = options;
+  }
+
+  /**
+   * 计算缓存键
+   */
+  static createKey({ image, mimeType = '', provider = '', prompt, rolePrompt, model, maxTokens }: CacheKeyParams): string {
+    const hash = crypto.createHash('sha256');
+    hash.update(image ? crypto.createHash('sha256').update(image).digest('hex') : '');
+    for (const item of [mimeType, provider, prompt, rolePrompt, model, String(maxTokens)]) {
+      hash.update('\0' + item);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * 读取缓存，未命中、已过期或处于 bypass 模式时返回 null
+   * @param key 缓存键
+   */
+  async get(key: string): Promise<string | null> {
+    if (this.options.bypass) {
+      this.stats.misses++;
+      return null;
+    }
+    const filePath = this.getFilePath(key);
+    try {
+      if (await fs.pathExists(filePath)) {
+        const entry: CacheEntry = await fs.readJson(filePath);
+        const expired = this.options.ttl !== undefined && Date.now() - entry.createdAt > this.options.ttl;
+        if (!expired && typeof entry.content === 'string') {
+          this.stats.hits++;
+          return entry.content;
+        }
+      }
+    } catch (error) {
+      console.warn(`读取缓存 ${filePath} 失败:`, (error as Error).message);
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * 写入缓存，只读模式下忽略
+   * @param key 缓存键
+   * @param model 模型名称
+   * @param content 模型输出
+   */
+  async set(key: string, model: string, content: string): Promise<void> {
+    if (this.options.readOnly) {
+      return;
+    }
+    const filePath = this.getFilePath(key);
+    const entry: CacheEntry = { createdAt: Date.now(), model, content };
+    try {
+      await fs.ensureDir(path.dirname(filePath));
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeJson(tempPath, entry);
+      await fs.move(tempPath, filePath, { overwrite: true });
+    } catch (error) {
+      console.warn(`写入缓存 ${filePath} 失败:`, (error as Error).message);
+    }
+  }
+
+  /**
+   * 获取缓存命中统计
+   */
+  getStats(): CacheStats {
+    return { ...this.stats };
+  }
+
+  private getFilePath(key: string): string {
+    return path.join(this.options.dir, key.slice(0, 2), `${key}.json`);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * 来源映射模块，在页面之间插入页码标记，并记录Markdown中每个标题和行范围对应的原始页码
+ */
+import type { PageStart } from './page-merge';
+import { parseMarkdownBlocks, findPage } from './document-model';
+import { extractHeadings } from './heading-match';
+
+// 页码标记的样式：none 不插入（默认），comment 插入 <!-- page: N -->，anchor 插入 <a id="page-N"></a> 便于链接跳转
+export type PageMarkerStyle = 'none' | 'comment' | 'anchor';
+
+export interface PageLineRange {
+  pageIndex: number;
+  // 在最终Markdown中的起止行号（从0开始，包含结束行）
+  startLine: number;
+  endLine: number;
+}
+
+export interface HeadingSource {
+  text: string;
+  level: number;
+  line: number;
+  pageIndex: number;
+}
+
+export interface SourceMap {
+  pages: PageLineRange[];
+  headings: HeadingSource[];
+}
+
+const formatMarker = (style: PageMarkerStyle, pageIndex: number): string =>
+  style === 'anchor' ? `<a id="page-${pageIndex}"></a>` : `<!-- page: ${pageIndex} -->`;
+
+/**
+ * 在每页内容之前插入页码标记
+ * 与上一页合并的段落或表格中间不能插入标记，此时标记放在该页第一个完整的块之前
+ * @param markdownText Markdown文本
+ * @param pageStarts 每页的起始行号
+ * @param style 标记样式
+ * @returns 插入标记后的文本，以及以标记所在行为起点的新起始行号
+ */
+export const insertPageMarkers = (
+  markdownText: string,
+  pageStarts: PageStart[],
+  style: PageMarkerStyle
+): { content: string; pageStarts: PageStart[] } => {
+  if (style === 'none' || pageStarts.length === 0) {
+    return { content: markdownText, pageStarts };
+  }
+  const lines = markdownText.split('\n');
+  const blockStarts = parseMarkdownBlocks(markdownText).map((block) => block.startLine);
+
+  // 每页标记插入在哪一行之前
+  const insertAt = new Map<number, number[]>();
+  for (const start of pageStarts) {
+    const line = blockStarts.find((blockStart) => blockStart >= start.line) ?? lines.length;
+    insertAt.set(line, [...(insertAt.get(line) || []), start.pageIndex]);
+  }
+
+  const output: string[] = [];
+  const newStarts: PageStart[] = [];
+  for (let i = 0; i <= lines.length; i++) {
+    for (const pageIndex of insertAt.get(i) || []) {
+      newStarts.push({ pageIndex, line: output.length });
+      output.push(formatMarker(style, pageIndex), '');
+    }
+    if (i < lines.length) {
+      output.push(lines[i]);
+    }
+  }
+  return { content: output.join('\n'), pageStarts: newStarts };
+};
+
+/**
+ * 生成来源映射
+ * @param markdownText 最终的Markdown文本
+ * @param pageStarts 每页在文本中的起始行号
+ */
+export const buildSourceMap = (markdownText: string, pageStarts: PageStart[]): SourceMap => {
+  const lineCount = markdownText.split('\n').length;
+  const pages = pageStarts.map((start, i) => ({
+    pageIndex: start.pageIndex,
+    startLine: start.line,
+    endLine: Math.max(start.line, (pageStarts[i + 1]?.line ?? lineCount) - 1),
+  }));
+  const headings = extractHeadings(markdownText).map((heading) => ({
+    text: heading.text,
+    level: heading.level,
+    line: heading.line,
+    pageIndex: findPage(pageStarts, heading.line),
+  }));
+  return { pages, headings };
+};
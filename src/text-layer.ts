@@ -0,0 +1,108 @@
+/**
+ * PDF文本层模块，负责利用PDF内嵌的文本层判断页面类型，并将其转换为Markdown或作为模型的识别参考
+ */
+
+// PDF页面的文本层信息
+export interface PageTextLayer {
+  text: string;
+  // 页面中图片对象的数量
+  imageObjectCount: number;
+  // 页面中路径对象（线条、表格边框、矢量图形等）的数量
+  pathObjectCount: number;
+}
+
+/**
+ * 页面类型
+ * - scanned: 扫描页，没有可用的文本层
+ * - digital: 原生数字页，但包含图片、表格等复杂内容
+ * - simple: 原生数字页，且只有纯文本
+ */
+export type PageType = 'scanned' | 'digital' | 'simple';
+
+/**
+ * 文本层使用模式
+ * - none: 不使用文本层，所有页面都交给视觉模型识别（默认）
+ * - grounding: 数字页将文本层与图像一起发送给模型作为参考，减少幻觉
+ * - hybrid: 纯文本页直接使用文本层，不调用模型；其余数字页同 grounding
+ */
+export type TextLayerMode = 'none' | 'grounding' | 'hybrid';
+
+// 判定为数字页所需的最少有效字符数
+const MIN_DIGITAL_CHARS = 20;
+
+// 纯文本页允许的最多路径对象数，超过则可能包含表格或矢量图
+const MAX_SIMPLE_PATH_OBJECTS = 4;
+
+// 作为参考文本发送给模型的最大字符数，避免超出上下文
+const MAX_GROUNDING_CHARS = 8000;
+
+/**
+ * 根据文本层信息判断页面类型
+ * @param layer 页面文本层信息
+ */
+export const classifyPage = (layer: PageTextLayer): PageType => {
+  const charCount = layer.text.replace(/\s/g, '').length;
+  if (charCount < MIN_DIGITAL_CHARS) {
+    return 'scanned';
+  }
+  if (layer.imageObjectCount === 0 && layer.pathObjectCount <= MAX_SIMPLE_PATH_OBJECTS) {
+    return 'simple';
+  }
+  return 'digital';
+};
+
+/**
+ * 将文本层中的纯文本转换为Markdown段落
+ * 以句末标点或空行作为段落结束，行尾连字符断开的单词会被重新拼接
+ * @param text 文本层中的纯文本
+ */
+export const textLayerToMarkdown = (text: string): string => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map((line) => line.trim());
+  const paragraphs: string[] = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) {
+      paragraphs.push(current);
+      current = '';
+    }
+  };
+
+  for (const line of lines) {
+    if (!line) {
+      flush();
+      continue;
+    }
+    if (!current) {
+      current = line;
+    } else if (/[A-Za-z]-$/.test(current) && /^[a-z]/.test(line)) {
+      current = current.slice(0, -1) + line;
+    } else if (/[\u4e00-\u9fa5]$/.test(current) && /^[\u4e00-\u9fa5]/.test(line)) {
+      current += line;
+    } else {
+      current += ' ' + line;
+    }
+    if (/[.!?。！？:：;；]$/.test(line)) {
+      flush();
+    }
+  }
+  flush();
+
+  return paragraphs.join('\n\n') + '\n';
+};
+
+/**
+ * 将文本层作为参考附加到提示词之后
+ * @param prompt 原始提示词
+ * @param text 文本层中的纯文本
+ */
+export const buildGroundedPrompt = (prompt: string, text: string): string => {
+  const reference = text.replace(/\r\n?/g, '\n').trim().slice(0, MAX_GROUNDING_CHARS);
+  return `${prompt}
+
+以下是从PDF文本层中提取的本页文字，仅作为识别参考：文字内容以此为准校对错别字和公式符号，但结构、顺序和格式以图片为准，不要输出图片中没有的内容，也不要输出这段说明。
+\`\`\`text
+${reference}
+\`\`\`
+`;
+};
@@ -0,0 +1,75 @@
+/**
+ * 用量统计模块，汇总模型调用的token用量和请求次数，并根据价格表估算费用
+ */
+
+// 单次模型调用的token用量
+export interface TokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+// 汇总的用量
+export interface UsageSummary extends TokenUsage {
+  // 实际发起的HTTP请求次数（含重试）
+  requests: number;
+  // 根据价格表估算的费用，未提供价格表或找不到对应模型时为空
+  estimatedCost?: number;
+}
+
+// 模型价格，单位为每百万token的价格（货币单位由调用方自行约定）
+export interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+// 价格表，键为模型名称或模型名称前缀
+export type PriceTable = Record<string, ModelPrice>;
+
+/**
+ * 创建空的用量汇总
+ */
+export const createUsageSummary = (): UsageSummary => ({ inputTokens: 0, outputTokens: 0, requests: 0 });
+
+/**
+ * 将一次调用的用量累加到汇总中
+ * @param summary 用量汇总
+ * @param usage 本次调用的token用量
+ * @param requests 本次调用发起的HTTP请求次数
+ */
+export const addUsage = (summary: UsageSummary, usage: TokenUsage | undefined, requests: number): void => {
+  summary.requests += requests;
+  if (usage) {
+    summary.inputTokens += usage.inputTokens;
+    summary.outputTokens += usage.outputTokens;
+  }
+};
+
+/**
+ * 查找模型的价格，优先精确匹配，否则使用最长的前缀匹配
+ * @param model 模型名称
+ * @param pricing 价格表
+ */
+export const findModelPrice = (model: string, pricing: PriceTable): ModelPrice | undefined => {
+  if (pricing[model]) {
+    return pricing[model];
+  }
+  const prefix = Object.keys(pricing)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : undefined;
+};
+
+/**
+ * 估算费用
+ * @param usage token用量
+ * @param model 模型名称
+ * @param pricing 价格表
+ * @returns 估算的费用，找不到模型价格时返回 undefined
+ */
+export const estimateCost = (usage: TokenUsage, model: string, pricing?: PriceTable): number | undefined => {
+  const price = pricing && findModelPrice(model, pricing);
+  if (!price) {
+    return undefined;
+  }
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1_000_000;
+};
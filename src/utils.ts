@@ -42,44 +42,35 @@ export const getOldMarkdownHeadings = (markdownText: string): string => {
   return title.join('\n');
 };
 
-//根据新生成的标题结构，重新设置原文章中标题级别
-export const adjustMarkdownHeadings = (markdownText: string, newTitle: string): string => {
-  const map = createTitleLevelMap(newTitle);
-  const lines = markdownText.split('\n');
-  const processedLines: string[] = [];
-  lines.forEach((line) => {
-    // 匹配 # 开头，并捕获后面的内容
-    const match = line.match(/^#+\s*(.*)/);
-    if (!match) {
-      processedLines.push(line);
-      return;
+/**
+ * 解析页码范围字符串，例如 "1-3,7,10-"
+ * @param range 页码范围，页码从1开始，"10-" 表示第10页到最后一页
+ * @param totalPages 文档总页数
+ * @returns 去重并升序排列的页码数组
+ */
+export const parsePageRange = (range: string | undefined, totalPages: number): number[] => {
+  if (!range || !range.trim()) {
+    return Array.from({ length: totalPages }, (_, i) => i + 1);
+  }
+
+  const pages = new Set<number>();
+  for (const part of range.split(',')) {
+    const segment = part.trim();
+    if (!segment) {
+      continue;
     }
-    const content = match ? match[1] : line;
-    // 检查 content 是否在 map 中存在
-    let newLine = line;
-    if (map.has(content)) {
-      const level = map.get(content);
-      // 生成对应数量的 #（例如 level=2 -> "##"）
-      const hashes = '#'.repeat(level!);
-      newLine = `${hashes} ${content}`;
-      console.log('转换前：' + line + '===>转换后' + newLine);
+    const match = segment.match(/^(\d*)\s*(?:(-)\s*(\d*))?$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`无效的页码范围: ${segment}`);
     }
-    processedLines.push(newLine);
-  });
-  return processedLines.join('\n');
-};
-
-//根据标题#数量，建立内容和数量的map映射
-function createTitleLevelMap(data: string, map: Map<string, number> = new Map()): Map<string, number> {
-  const lines = data.split('\n');
-  for (const line of lines) {
-    // 匹配以#开头的标题行
-    const headerMatch = line.match(/^(#+)\s*(.+)/);
-    if (headerMatch) {
-      const level = headerMatch[1].length; // #号的数量
-      const text = headerMatch[2].trim(); // #号后的文本内容
-      map.set(text, level);
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : totalPages) : start;
+    if (start < 1 || end < start || end > totalPages) {
+      throw new Error(`页码范围 ${segment} 超出文档页数(共 ${totalPages} 页)`);
+    }
+    for (let i = start; i <= end; i++) {
+      pages.add(i);
     }
   }
-  return map;
-}
\ No newline at end of file
+  return [...pages].sort((a, b) => a - b);
+};